@@ -135,6 +135,15 @@ pokitdok.claimStatus({
     console.log(res.data.correlation_id + ':' + res.data.trading_partner_id);
 });
 
+//// convert a X12 837 claims file to a claims API request
+pokitdok.claimsConvert('./test_claim.837', function (err, res) {
+    if (err) {
+        return console.log(err, res && res.statusCode);
+    }
+    // print the converted claim document
+    console.log(res.data);
+});
+
 pokitdok.authorizations({
     event: {
         category: 'health_services_review',
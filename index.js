@@ -8,49 +8,339 @@
 
 
 // module globals and imports
-var userAgent = 'pokitdok-nodejs@0.0.1',
-    baseUrl = 'https://platform.pokitdok.com',
+var pkg = require('./package.json'),
+    defaultUserAgent = pkg.name + '@' + pkg.version,
+    defaultBaseUrl = 'https://platform.pokitdok.com',
     request = require('request'),
+    crypto = require('crypto'),
     fs = require('fs'),
+    path = require('path'),
+    querystring = require('querystring'),
+    errors = require('./lib/errors'),
+    tokens = require('./lib/tokens'),
+    Scheduler = require('./lib/scheduler'),
+    redact = require('./lib/redact'),
+    validate = require('./lib/validate'),
+    schemas = require('./lib/schemas'),
+    codes = require('./lib/codes'),
+    checkClaim = require('./lib/preflight'),
+    pages = require('./lib/pages'),
+    ActivityWatcher = require('./lib/watcher'),
+    JsonFile = require('./lib/jsonfile'),
     _ = require('lodash');
 
-// a private function to automatically refresh the access token when receiving a 401.
-// Adds rejected requests to a queue to be processed
-var refreshAccessToken = function (context, options, callback) {
-    // add the current request to the queue
-    context.retryQueue.push([options, callback]);
-    // bail if the token is currently being refreshed
-    if (context.refreshActive) {
-        return false;
+// the list endpoints whose results come in pages, see `pokitdok.iterate(...)`
+var PAGED_METHODS = ['activities', 'providers', 'getIdentity', 'plans', 'medicalProcedureCodes'];
+
+// the mark of documents that are sent without validation, see `PokitDok.skipValidation(...)`
+var SKIP_VALIDATION = Symbol('skipValidation');
+
+// the states an activity never leaves, see `pokitdok.waitForActivity(...)`
+var FINAL_ACTIVITY_STATES = ActivityWatcher.FINAL_STATES;
+
+// a private function to emit a structured event to the logger of the connection, if it has one. Loggers are objects
+// with `debug`, `info`, `warn` and `error` functions, like `console`; levels a logger lacks are skipped.
+var log = function (context, level, event) {
+    if (context.logger && context.logger[level] instanceof Function) {
+        context.logger[level](event);
     }
-    // ready to refresh
-    context.refreshActive = true;
+};
+
+// a private function to summarize an error for the log
+var describeError = function (err) {
+    return _.omit({
+        name: err.name,
+        message: err.message,
+        statusCode: err.statusCode,
+        code: err.code
+    }, _.isUndefined);
+};
+
+// a private function to describe the payload of a request for the log. The query and body are redacted and uploads
+// are reduced to their file name and size.
+var describePayload = function (context, options) {
+    var payload = {};
+    if (options.qs) {
+        payload.qs = redact(options.qs, context.redactFields);
+    }
+    if (options.json instanceof Object) {
+        payload.body = redact(options.json, context.redactFields);
+    }
+    if (options.formData) {
+        payload.formData = _.mapValues(options.formData, function (value) {
+            if (value && Buffer.isBuffer(value.value)) {
+                return {filename: value.options.filename, size: value.value.length};
+            }
+            return redact(value, context.redactFields);
+        });
+    }
+    return payload;
+};
+
+// a private function to post a grant to the token endpoint. Calls back with a typed error or null, the token and the
+// response.
+var requestToken = function (context, form, callback) {
+    var done = function (err, token, res) {
+        if (err) {
+            log(context, 'error', {event: 'token', grant_type: form.grant_type, error: describeError(err)});
+        } else {
+            log(context, 'info', {event: 'token', grant_type: form.grant_type, expires_in: token.expires_in});
+        }
+        callback(err, token, res);
+    };
     return request({
-        uri: baseUrl + '/oauth2/token',
+        uri: context.tokenUrl,
         method: 'POST',
         headers: {
             'Authorization': 'Basic ' + new Buffer(context.clientId + ':' + context.clientSecret).toString('base64'),
-            'User-Agent': userAgent
+            'User-Agent': context.userAgent
         },
-        form: {
-            grant_type: 'client_credentials'
-        }
+        form: form
     }, function (err, res, body) {
-        context.refreshActive = false;
-        // if anything but a 200 is returned from the token refresh call, we return the error to the
-        // caller and blow out the retry queue
+        if (err) {
+            return done(errors.fromNetworkError(err, context.tokenUrl), null, res);
+        }
         if (res.statusCode != 200) {
-            context.retryQueue = [];
-            return callback && callback(res.body, res);
+            return done(errors.fromResponse(res, parseBody(body), context.tokenUrl), null, res);
+        }
+        done(null, parseBody(body), res);
+    });
+};
+
+// a private function to take a token from the token endpoint into use. It is shared through the token store and
+// handed to `onTokenChange`; a token that can't be stored still works for this connection, so store errors are ignored.
+var receiveToken = function (context, token) {
+    var expiresIn = parseInt(token.expires_in, 10),
+        stored = {
+            access_token: token.access_token,
+            expires_at: isNaN(expiresIn) ? null : Date.now() + expiresIn * 1000
+        };
+    // the platform may rotate the refresh token, otherwise the current one stays valid
+    if (token.refresh_token || context.refreshToken) {
+        stored.refresh_token = token.refresh_token || context.refreshToken;
+    }
+    if (token.scope !== undefined) {
+        stored.scope = token.scope;
+    }
+    useAccessToken(context, stored, true);
+    if (tokenStoreKey(context)) {
+        context.tokenStore.set(tokenStoreKey(context), stored, _.noop);
+    }
+    if (context.onTokenChange instanceof Function) {
+        context.onTokenChange(_.clone(stored));
+    }
+    return stored;
+};
+
+// a private function to fetch a new access token, with the refresh token of an authorized user when there is one.
+// Callers that ask while a token is already being fetched wait for the same token; once it arrives they are called back
+// in the order they asked, and when it can't be fetched every one of them is called back with the error.
+var refreshAccessToken = function (context, callback) {
+    // add the current request to the queue
+    context.retryQueue.push(callback);
+    // bail if the token is currently being refreshed
+    if (context.refreshActive) {
+        return false;
+    }
+    // ready to refresh
+    context.refreshActive = true;
+    return requestToken(context, context.refreshToken ? {
+        grant_type: 'refresh_token',
+        refresh_token: context.refreshToken
+    } : {
+        grant_type: 'client_credentials'
+    }, function (err, token, res) {
+        var queued = context.retryQueue;
+        context.refreshActive = false;
+        context.retryQueue = [];
+        // if the token endpoint can't be reached or answers with anything but a 200, every queued request fails
+        if (!err) {
+            receiveToken(context, token);
+        }
+        // process the queue of requests for the current connection, first in first out
+        _.each(queued, function (waiting) {
+            waiting(err, res);
+        });
+    });
+};
+
+// a private function to use a token on the connection and schedule its refresh `refreshMargin` seconds before it
+// expires. A token that was just fetched but lives shorter than the margin is refreshed half way through its lifetime.
+var useAccessToken = function (context, token, fetched) {
+    var margin = context.refreshMargin * 1000;
+    if (fetched && token.expires_at) {
+        margin = Math.min(margin, (token.expires_at - Date.now()) / 2);
+    }
+    context.accessToken = token.access_token;
+    context.refreshToken = token.refresh_token || context.refreshToken;
+    context.accessTokenExpiresAt = token.expires_at || null;
+    context.accessTokenRefreshAt = token.expires_at ? token.expires_at - margin : null;
+};
+
+// a private function to tell whether the connection holds a token that isn't about to expire. A token without an
+// expiry, like one assigned to `pokitdok.accessToken` directly, is used until it is rejected with a 401.
+var hasFreshToken = function (context) {
+    return !!context.accessToken && (!context.accessTokenRefreshAt || Date.now() < context.accessTokenRefreshAt);
+};
+
+// a private function to find the key the tokens of a connection are stored under. The tokens of the app itself are
+// shared by every connection with its client id. The tokens of a user that authorized the app are only shared under
+// the `tokenKey` of that user, and not stored at all without one, so a connection never picks up the tokens of
+// another user, or the app those of a user.
+var tokenStoreKey = function (context) {
+    if (!context.refreshToken) {
+        return context.clientId;
+    }
+    return context.tokenKey ? context.clientId + ':user:' + context.tokenKey : null;
+};
+
+// a private function to pick up the token in the token store, which another connection or process may have fetched.
+// A store that fails is treated as empty, so the connection fetches a token of its own.
+var loadAccessToken = function (context, callback) {
+    var key = tokenStoreKey(context);
+    if (!key) {
+        return callback();
+    }
+    context.tokenStore.get(key, function (err, token) {
+        if (!err && token && token.access_token) {
+            // app tokens never carry a refresh token, not even ones an older version stored with one
+            useAccessToken(context, key == context.clientId ? _.omit(token, 'refresh_token') : token, false);
         }
-        // set the access token on the connection
-        var token = JSON.parse(body);
-        context.accessToken = token.access_token;
-        // process the queue of requests for the current connection
-        while (0 < context.retryQueue.length) {
-            var reqArgs = context.retryQueue.pop();
-            context.apiRequest(reqArgs[0], reqArgs[1]);
+        callback();
+    });
+};
+
+// a private function to parse a JSON response body, leaving anything else as it is
+var parseBody = function (body) {
+    if (typeof body == 'string' && /^\s*[{\[]/.test(body)) {
+        try {
+            return JSON.parse(body);
+        } catch (err) {
+            return body;
         }
+    }
+    return body;
+};
+
+// a private function to fill in the defaults of a retry policy. `false` turns retries off.
+var retryPolicy = function (retry) {
+    if (retry === false) {
+        retry = {maxAttempts: 1};
+    }
+    return _.defaults({}, retry, {
+        maxAttempts: 3,
+        minDelay: 500,
+        maxDelay: 30000,
+        jitter: true,
+        methods: ['GET']
+    });
+};
+
+// a private function to decide whether a failed request is sent again, and after how many milliseconds. Returns null
+// when it isn't. Only network failures, rate limits and server errors are transient.
+var retryDelay = function (policy, method, attempt, error) {
+    var transient = error instanceof errors.NetworkError || error instanceof errors.RateLimitError ||
+            error instanceof errors.ServerError,
+        delay;
+    if (!transient || attempt >= policy.maxAttempts || !_.includes(policy.methods, (method || 'GET').toUpperCase())) {
+        return null;
+    }
+    // the platform's Retry-After wins over the backoff, but a caller that won't wait that long gets the error
+    if (error.retryAfter !== undefined && error.retryAfter !== null) {
+        delay = error.retryAfter * 1000;
+        return delay <= policy.maxDelay ? delay : null;
+    }
+    // exponential backoff, keeping between half and all of the delay so parallel callers don't retry in lockstep
+    delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(2, attempt - 1));
+    return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+};
+
+// a private function that adapts a node style callback to a promise. Errors reject with the same error a callback
+// would have received.
+var settle = function (resolve, reject) {
+    return function (err, res) {
+        if (err) {
+            return reject(err);
+        }
+        resolve(res);
+    };
+};
+
+// a private function to copy options with a medical code in its normalized form, such as `487.1` for `4871 `. Codes
+// that fit none of the systems are left as they are, for the validation to report.
+var normalizeCode = function (options, key, systems) {
+    if (!(options instanceof Object)) {
+        return options;
+    }
+    var code = options[key] === undefined ? null : codes.normalize(options[key], systems),
+        copy = _.clone(options);
+    if (code === null) {
+        return options;
+    }
+    copy[key] = code;
+    if (options[SKIP_VALIDATION]) {
+        copy = PokitDok.skipValidation(copy);
+    }
+    return copy;
+};
+
+// a private function to find the id of an activity in an id, an activity or the response of a submission like claims
+var activityId = ActivityWatcher.activityId;
+
+// a private function to check an activity against the filter of a bulk transition. Activities date from the first
+// record of their history.
+var activityMatches = function (activity, filter) {
+    var created = Date.parse(_.get(activity, 'history[0].record_dt'));
+    if (filter.state && !_.includes([].concat(filter.state), _.get(activity, 'state.name'))) {
+        return false;
+    }
+    if (filter.name && !(filter.name instanceof RegExp ? filter.name.test(activity.name || '') :
+            filter.name === activity.name)) {
+        return false;
+    }
+    if (filter.trading_partner_id && filter.trading_partner_id !== activity.trading_partner_id) {
+        return false;
+    }
+    if ((filter.since || filter.until) && isNaN(created)) {
+        return false;
+    }
+    return !(filter.since && created < new Date(filter.since).getTime()) &&
+        !(filter.until && created > new Date(filter.until).getTime());
+};
+
+// a private function to read an upload from a file path, Buffer or readable stream into memory. Uploads are buffered
+// so a request can be sent again after a token refresh; a stream can only be read once.
+var readUpload = function (source, callback) {
+    var chunks = [],
+        upload = function (content, filename) {
+            callback(null, {
+                value: content,
+                options: {
+                    filename: path.basename(filename || 'upload.x12'),
+                    contentType: 'application/edi-x12'
+                }
+            });
+        };
+    if (typeof source == 'string') {
+        return fs.readFile(source, function (err, content) {
+            if (err) {
+                return callback(err);
+            }
+            upload(content, source);
+        });
+    }
+    if (Buffer.isBuffer(source)) {
+        return upload(source);
+    }
+    if (!source || !(source.on instanceof Function)) {
+        return callback(new errors.ValidationError('An upload must be a file path, a Buffer or a readable stream'));
+    }
+    source.on('data', function (chunk) {
+        chunks.push(typeof chunk == 'string' ? new Buffer(chunk) : chunk);
+    });
+    source.once('error', callback);
+    source.once('end', function () {
+        upload(Buffer.concat(chunks), source.path);
     });
 };
 
@@ -60,7 +350,46 @@ var refreshAccessToken = function (context, options, callback) {
  * @name PokitDok
  * @param {string} clientId - The client id of your PokitDok App
  * @param {string} clientSecret - The client secret of your PokitDok App
- * @param {string} version - the version of the API the connection should use
+ * @param {string|object} [version] - the version of the API the connection should use, or the connection options
+ * @param {object} [options] - keys: `version`, `baseUrl`, `tokenUrl`, `apiPath`, `userAgent`, `retry`, `limits`,
+ * `tokenStore`, `refreshMargin`, `maxRefreshAttempts`, `authorizeUrl`, `redirectUri`, `scope`, `refreshToken`,
+ * `tokenKey`, `onTokenChange`, `logger`, `redactFields`, `validate`, `checkClaims`. The
+ * base url defaults to the PokitDok Platform, the token url to `/oauth2/token` and the authorize url to
+ * `/oauth2/authorize` on the base url. The api path prefix defaults to `/api/{version}`.
+ *
+ * Access tokens are fetched before the first request and refreshed `refreshMargin` seconds (60) before they expire.
+ * They are kept in the `tokenStore`, one of the stores in `PokitDok.tokens` or any object with the same `get` and `set`
+ * functions; by default every connection has a `MemoryTokenStore` of its own. The store keeps the tokens of the app
+ * under its client id. The tokens of a user that authorized the app are only stored with a `tokenKey` that identifies
+ * the user, such as their id in your app. A request that is rejected with a 401 is
+ * sent again with a new token at most `maxRefreshAttempts` times (2). Connections act for the app itself with the
+ * client credentials grant, unless they have the `refreshToken` of a user that authorized the app, see
+ * `pokitdok.authorize(...)`. Every new token is passed to `onTokenChange`, so it can be saved.
+ *
+ * The retry policy has the keys `maxAttempts` (3), `minDelay` (500 milliseconds), `maxDelay` (30000 milliseconds),
+ * `jitter` (true) and `methods` (`['GET']`); requests that fail with a network error, a 429 or a 5xx are sent again
+ * with an exponential backoff, or after the `Retry-After` of the response. Other methods, such as the POST of
+ * `pokitdok.claims(...)`, are only sent again when they are listed in `methods`. Pass `retry: false` to turn retries
+ * off.
+ *
+ * Requests are sent right away, unless the connection has `limits`: a `PokitDok.Scheduler`, or the options to create
+ * one, that limit the requests in flight and the requests per second. See `pokitdok.queueDepth()`.
+ *
+ * A `logger`, any object with `debug`, `info`, `warn` and `error` functions such as `console`, receives a structured
+ * event for every `request` and `response` (debug, or warn for failures), `retry` (warn) and `token` request (info, or
+ * error for failures). Each event has an `event` key with its type. Payloads are logged with the values of PHI fields
+ * masked, see `PokitDok.redact`; `redactFields` replaces the list of fields to mask. Access tokens are never logged.
+ *
+ * The request documents of `eligibility`, `claims`, `claimStatus`, `authorizations`, `referrals` and `enrollment` are
+ * checked against `PokitDok.schemas` before they are sent. A document with problems is not sent; the callback gets a
+ * `ValidationError` that lists every problem by JSON path in its `fieldErrors`. NPIs, tax ids, zip codes, phone
+ * numbers and state codes are checked with `PokitDok.identifiers`, also in the options of `providers`. The medical
+ * codes of `cashPrices`, `insurancePrices`, `icdConvert` and `medicalProcedureCodes` are normalized with
+ * `PokitDok.codes` and checked the same way, so `4871` is looked up as `487.1`. Fields the schemas of people,
+ * providers and addresses don't know are not errors; they are logged as a `validationWarning` event (warn). Pass
+ * `validate: false` to leave the checks to the platform, or wrap a single document in `PokitDok.skipValidation(...)`.
+ * Pass `checkClaims: true` to also run `PokitDok.checkClaim` on valid claims documents: its
+ * errors fail the request the same way, and its warnings are logged as a `claimCheck` event (warn).
  * @constructor
  * @example
  *  ```js
@@ -74,22 +403,276 @@ var refreshAccessToken = function (context, options, callback) {
  *  var PokitDok = require('pokitdok-nodejs');
  *  var pokitdokV3 = new PokitDok(process.env.POKITDOK_CLIENT_ID, process.env.POKITDOK_CLIENT_SECRET, 'v3');
  *  ```
+ * @example
+ *  ```js
+ *  // get a connection that also sends claims again when the platform is overloaded
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var pokitdok = new PokitDok(process.env.POKITDOK_CLIENT_ID, process.env.POKITDOK_CLIENT_SECRET, {
+ *      retry: {maxAttempts: 5, methods: ['GET', 'POST']}
+ *  });
+ *  ```
+ * @example
+ *  ```js
+ *  // get a connection that logs its requests without PHI
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var pokitdok = new PokitDok(process.env.POKITDOK_CLIENT_ID, process.env.POKITDOK_CLIENT_SECRET, {
+ *      logger: console
+ *  });
+ *  ```
+ * @example
+ *  ```js
+ *  // get a connection to a local stand-in for the PokitDok Platform
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var pokitdokLocal = new PokitDok(process.env.POKITDOK_CLIENT_ID, process.env.POKITDOK_CLIENT_SECRET, {
+ *      baseUrl: 'http://localhost:5002',
+ *      userAgent: 'my-app/1.0'
+ *  });
+ *  ```
  */
-function PokitDok(clientId, clientSecret, version) {
+function PokitDok(clientId, clientSecret, version, options) {
+    if (version instanceof Object) {
+        options = version;
+        version = options.version;
+    }
+    options = options || {};
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.version = version || 'v4';
+    this.baseUrl = (options.baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+    this.tokenUrl = options.tokenUrl || this.baseUrl + '/oauth2/token';
+    this.authorizeUrl = options.authorizeUrl || this.baseUrl + '/oauth2/authorize';
+    this.redirectUri = options.redirectUri || null;
+    this.scope = options.scope || null;
+    this.refreshToken = options.refreshToken || null;
+    this.tokenKey = options.tokenKey || null;
+    this.onTokenChange = options.onTokenChange || null;
+    this.apiPath = options.apiPath || '/api/' + this.version;
+    this.userAgent = options.userAgent || defaultUserAgent;
+    this.retry = retryPolicy(options.retry);
+    this.scheduler = options.limits instanceof Scheduler ? options.limits :
+        (options.limits ? new Scheduler(options.limits) : null);
+    this.tokenStore = options.tokenStore || new tokens.MemoryTokenStore();
+    this.refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : 60;
+    this.maxRefreshAttempts = options.maxRefreshAttempts !== undefined ? options.maxRefreshAttempts : 2;
+    this.hooks = {before: [], after: []};
+    this.logger = options.logger || null;
+    this.validate = options.validate !== false;
+    this.checkClaims = !!options.checkClaims;
+    this.redactFields = options.redactFields || redact.PHI_FIELDS;
     this.refreshActive = false;
     this.retryQueue = [];
     this.accessToken = null;
+    this.accessTokenExpiresAt = null;
+    this.accessTokenRefreshAt = null;
+};
+
+/**
+ * Build the url to send a user to, so they can authorize the app to act on their behalf, as the scheduling endpoints
+ * do. The platform sends the user back to the redirect uri with a `code` and the `state`, and the code can then be
+ * exchanged for tokens with `pokitdok.authorize(...)`.
+ * @param {object} [options] - keys: `scope`, `state`, `redirectUri`. The scope and redirect uri default to the
+ * connection options. The scope may be a list or a space separated string. Pass a `state` that can't be guessed and
+ * compare it with the state the user comes back with.
+ * @returns {string} the authorize url
+ * @example
+ *  ```js
+ *  // send a user to the platform to allow scheduling appointments for them
+ *  var pokitdok = new PokitDok(clientId, clientSecret, {redirectUri: 'https://my-app.example.com/pokitdok/callback'});
+ *  var state = crypto.randomBytes(16).toString('hex');
+ *  response.redirect(pokitdok.authorizationUrl({scope: ['user_schedule'], state: state}));
+ *  ```
+ */
+PokitDok.prototype.authorizationUrl = function (options) {
+    options = options || {};
+    var scope = options.scope || this.scope,
+        query = {
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: options.redirectUri || this.redirectUri,
+            scope: scope instanceof Array ? scope.join(' ') : scope,
+            state: options.state
+        };
+    return this.authorizeUrl + '?' + querystring.stringify(_.omit(query, function (value) {
+        return value === undefined || value === null;
+    }));
+};
+
+/**
+ * Exchange the code of a user that authorized the app for an access token and a refresh token. From then on the
+ * connection acts on behalf of that user, and refreshes its tokens with the refresh token. Save the tokens from the
+ * callback or from `onTokenChange` and pass the refresh token as the `refreshToken` option to pick up where the
+ * connection left off.
+ * @param {string} code - the code the platform sent back to the redirect uri
+ * @param {function} [callback] - called with an error, or null and the token, with the keys `access_token`,
+ * `refresh_token`, `expires_at` and `scope`
+ * @returns {Promise|undefined} a promise for the token when no callback is given
+ * @example
+ *  ```js
+ *  // the user came back from the authorize url, book an appointment for them
+ *  var pokitdok = new PokitDok(clientId, clientSecret, {
+ *      redirectUri: 'https://my-app.example.com/pokitdok/callback',
+ *      onTokenChange: function (token) {
+ *          saveTokens(userId, token);
+ *      }
+ *  });
+ *  pokitdok.authorize(request.query.code, function (err, token) {
+ *      if (err) {
+ *          return console.log(err);
+ *      }
+ *      pokitdok.updateAppointment({uuid: appointmentUuid, description: 'Welcome visit'}, function (err, res) {
+ *          console.log(err || res.data);
+ *      });
+ *  });
+ *  ```
+ */
+PokitDok.prototype.authorize = function (code, callback) {
+    var self = this;
+    if (!(callback instanceof Function)) {
+        return new Promise(function (resolve, reject) {
+            self.authorize(code, settle(resolve, reject));
+        });
+    }
+    requestToken(self, {
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: self.redirectUri || undefined
+    }, function (err, token) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, receiveToken(self, token));
+    });
+};
+
+/**
+ * Add hooks that run for every api request of the connection. A `before` hook is called with the request options
+ * right before a request is sent, every time it is sent: retries and requests that are sent again after a token
+ * refresh run it again. It may change the options, such as adding `headers`. An `after` hook is called once with the
+ * result, before the callback; the result has the keys `error`, `data`, `response`, `options` and `sends`, the number of
+ * times the request was sent. It may replace the `error` or `data`. Hooks run in the order they were added, and an
+ * error a hook throws is passed to the callback.
+ * @param {object} hooks - keys: `before`, `after`
+ * @returns {PokitDok} the connection
+ * @example
+ *  ```js
+ *  // add a correlation id to every request and time it
+ *  pokitdok.use({
+ *      before: function (options) {
+ *          options.headers['X-Correlation-Id'] = options.correlationId = options.correlationId || uuid();
+ *          options.startedAt = options.startedAt || Date.now();
+ *      },
+ *      after: function (result) {
+ *          metrics.timing('pokitdok' + result.options.path, Date.now() - result.options.startedAt);
+ *      }
+ *  });
+ *  ```
+ * @example
+ *  ```js
+ *  // treat a missing activity as an empty result
+ *  pokitdok.use({
+ *      after: function (result) {
+ *          if (result.error && result.error.statusCode == 404) {
+ *              result.error = null;
+ *              result.data = {data: null};
+ *          }
+ *      }
+ *  });
+ *  ```
+ */
+PokitDok.prototype.use = function (hooks) {
+    if (hooks.before instanceof Function) {
+        this.hooks.before.push(hooks.before);
+    }
+    if (hooks.after instanceof Function) {
+        this.hooks.after.push(hooks.after);
+    }
+    return this;
+};
+
+/**
+ * Get the number of requests waiting for the limits of the connection and the number in flight, overall and for every
+ * endpoint path with limits of its own. Connections without limits never queue requests.
+ * @returns {object} keys: `queued`, `active`, `paths`
+ * @example
+ *  ```js
+ *  // log the queue depth every ten seconds
+ *  setInterval(function () {
+ *      var depth = pokitdok.queueDepth();
+ *      console.log(depth.queued + ' queued, ' + depth.active + ' in flight');
+ *  }, 10000);
+ *  ```
+ */
+PokitDok.prototype.queueDepth = function () {
+    return this.scheduler ? this.scheduler.stats() : {queued: 0, active: 0, paths: {}};
+};
+
+/**
+ * Iterate over every item of a list endpoint, rather than one page at a time: `activities`, `providers`,
+ * `getIdentity`, `plans` or `medicalProcedureCodes`. Pages are requested as the items are needed, following the paging
+ * metadata of each page; the iterator is an async iterable with a `next()` function that returns a promise.
+ * @param {string} method - the name of the list endpoint, such as `providers`
+ * @param {object} [query] - the query, as passed to the endpoint
+ * @param {object} [options] - keys: `pageSize`, the number of items per page request, and `maxItems`, the number of
+ * items to stop after
+ * @returns {PageIterator} the iterator
+ * @example
+ *  ```js
+ *  // print the names of the first 50 family medicine providers near a zip code, 10 per request
+ *  var providers = pokitdok.iterate('providers', {zipcode: '94118', specialty: 'Family Medicine', radius: '10mi'}, {
+ *      pageSize: 10,
+ *      maxItems: 50
+ *  });
+ *  for await (var result of providers) {
+ *      console.log(result.provider.first_name + ' ' + result.provider.last_name);
+ *  }
+ *  ```
+ */
+PokitDok.prototype.iterate = function (method, query, options) {
+    var self = this;
+    if (!_.includes(PAGED_METHODS, method)) {
+        throw new errors.ValidationError(method + ' is not a list endpoint, use one of ' + PAGED_METHODS.join(', '));
+    }
+    return new pages.PageIterator(function (pageQuery, callback) {
+        self[method](pageQuery, callback);
+    }, query, options);
+};
+
+/**
+ * Stream every item of a list endpoint, see `pokitdok.iterate(...)`. The stream is a readable stream in object mode
+ * that only requests the next page once its consumer keeps up, and emits an `error` event when a page request fails.
+ * @param {string} method - the name of the list endpoint, such as `activities`
+ * @param {object} [query] - the query, as passed to the endpoint
+ * @param {object} [options] - keys: `pageSize`, `maxItems`
+ * @returns {PageStream} a readable stream of the items
+ * @example
+ *  ```js
+ *  // write every activity to a file, one JSON document per line
+ *  pokitdok.stream('activities', {}, {pageSize: 100}).on('data', function (activity) {
+ *      out.write(JSON.stringify(activity) + '\n');
+ *  }).on('error', function (err) {
+ *      console.log(err.name + ': ' + err.message);
+ *  });
+ *  ```
+ */
+PokitDok.prototype.stream = function (method, query, options) {
+    return new pages.PageStream(this.iterate(method, query, options));
 };
 
 /**
  * A generic API request that is used by all specific endpoints functions like `pokitdok.activities(...)` and
  * `pokitdok.CashPrices(...)`.
  *
- * @param {object} options - keys: `path`, `method`, `qs`, `json`. The path is the desired API endpoint, such as `/activities` or `/tradingpartners`. Method is the desired `HTTP` request method. qs is the query string containing request paramaters, and json is a json object containing request options.
- * @param {function} callback - a callback function that accepts an error and response parameter
+ * Every endpoint function returns the result of this function, so any of them can be used with promises by leaving
+ * out the callback.
+ *
+ * Failed requests call back with one of the errors in `PokitDok.errors`: an `AuthenticationError`, `ValidationError`,
+ * `RateLimitError`, `ServerError` or `NetworkError`, or a `PokitDokError` for any other status code. The error holds
+ * the `statusCode`, the request `path` and the parsed `body`; the response is still passed as the second argument.
+ *
+ * @param {object} options - keys: `path`, `method`, `qs`, `json`, `formData`, `schema`, `validate`. The path is the desired API endpoint, such as `/activities` or `/tradingpartners`. Method is the desired `HTTP` request method. qs is the query string containing request paramaters, and json is a json object containing request options. formData holds the fields of a multipart upload. schema names one of `PokitDok.schemas` to check the json against before sending it, or the input when the request has one, such as the options a query string and path are built from. Pass `validate: false` to send this request without the check.
+ * @param {function} [callback] - a callback function that accepts an error and response parameter
+ * @returns {Promise|Request} a promise for the response when no callback is given, otherwise the underlying request,
+ * or undefined when the connection first has to get an access token or wait for its limits
  * @example
  *  ```js
  *     // Get a list of activities using the generic pokitdok.apiRequest(...) function.
@@ -112,53 +695,178 @@ function PokitDok(clientId, clientSecret, version) {
  *        }
  *     });
  *  ```
+ * @example
+ *  ```js
+ *     // Any endpoint function returns a promise when it is called without a callback. Rejections are the same
+ *     // errors that would have been passed to a callback.
+ *     pokitdok.activities({}).then(function (res) {
+ *         console.log(res.data.length + ' activities');
+ *     }, function (err) {
+ *         console.log(err.name + ': ' + err.message, err.statusCode);
+ *     });
+ *  ```
  */
 PokitDok.prototype.apiRequest = function (options, callback) {
-    var self = this;
+    var self = this,
+        promise = null,
+        req;
+    // callers that don't supply a callback get a promise for the response instead
+    if (!(callback instanceof Function)) {
+        promise = new Promise(function (resolve, reject) {
+            callback = settle(resolve, reject);
+        });
+    }
     // build the default url for the requests
-    options.url = baseUrl + '/api/' + self.version + options.path;
-    // apply the auth magic
-    options.headers = {
-        'Authorization': 'Bearer ' + self.accessToken,
-        'User-Agent': userAgent
-    };
+    options.url = self.baseUrl + self.apiPath + options.path;
 
-    if ( options.formData ) {
-        options.headers['content-type'] = 'multipart/form-data';
-    }
+    var attempt = 1,
+        refreshes = 0,
+        sends = 0,
+        sentToken = null,
+        finish = function (err, data, res) {
+            // the after hooks see, and may replace, the result the caller gets
+            var result = {error: err, data: data, response: res, options: options, sends: sends};
+            try {
+                _.each(self.hooks.after, function (hook) {
+                    hook(result);
+                });
+            } catch (hookError) {
+                result.error = hookError;
+            }
+            if (result.error) {
+                return callback(result.error, result.response);
+            }
+            callback(null, result.data);
+        },
+        send = function () {
+            // connections with limits wait for their turn, including for retries and replays after a refresh
+            if (!self.scheduler) {
+                return dispatch(_.noop);
+            }
+            self.scheduler.schedule(options.path, dispatch);
+        },
+        dispatch = function (done) {
+            sends++;
+            sentToken = self.accessToken;
+            // apply the auth magic
+            options.headers = {
+                'Authorization': 'Bearer ' + self.accessToken,
+                'User-Agent': self.userAgent
+            };
+            // the before hooks may change the options of every request that is sent, including retries and replays
+            try {
+                _.each(self.hooks.before, function (hook) {
+                    hook(options);
+                });
+            } catch (hookError) {
+                done();
+                return finish(hookError);
+            }
+            var sentAt = Date.now(),
+                method = options.method || 'GET';
+            log(self, 'debug', _.extend({event: 'request', method: method, path: options.path, send: sends},
+                describePayload(self, options)));
+            return request(options, function (err, res, body) {
+                done();
+                var error = null,
+                    delay = null;
+                if (err) {
+                    // requests that never got a response have nothing to retry with a new token
+                    error = errors.fromNetworkError(err, options.path);
+                    log(self, 'warn', {event: 'response', method: method, path: options.path, send: sends,
+                        duration: Date.now() - sentAt, error: describeError(error)});
+                } else {
+                    // handle invalid file reqs
+                    if (!options.json) {
+                        body = res.body = parseBody(body);
+                    }
+                    log(self, res.statusCode == 200 ? 'debug' : 'warn', {event: 'response', method: method,
+                        path: options.path, send: sends, statusCode: res.statusCode, duration: Date.now() - sentAt,
+                        body: redact(body, self.redactFields)});
+                    // if a 401 is returned, hit the refresh token process, unless the token was already replaced
+                    // since the request was sent or the request was rejected too often to expect a different result
+                    if (res.statusCode == 401 || (res.statusCode == 400 && !(body && body.meta))) {
+                        if (self.accessToken !== sentToken && hasFreshToken(self)) {
+                            return send();
+                        }
+                        if (refreshes < self.maxRefreshAttempts) {
+                            refreshes++;
+                            return authenticate();
+                        }
+                    }
+                    if (res.statusCode != 200) {
+                        error = errors.fromResponse(res, body, options.path);
+                    }
+                }
+                if (error) {
+                    // transient failures are sent again when the retry policy allows it, all others go to the caller
+                    delay = retryDelay(self.retry, options.method, attempt, error);
+                    if (delay !== null) {
+                        log(self, 'warn', {event: 'retry', method: method, path: options.path, attempt: attempt,
+                            delay: delay, error: describeError(error)});
+                        attempt++;
+                        return setTimeout(send, delay);
+                    }
+                    return finish(error, null, res);
+                }
+                // only return javascript objects to callers on 200's
+                var data = {};
+                try {
+                    data = JSON.parse(body);
+                } catch (err) {
+                    data = body;
+                }
+                finish(null, data, res);
+            });
+        },
+        authenticate = function () {
+            refreshAccessToken(self, function (err, res) {
+                if (err) {
+                    return finish(err, null, res);
+                }
+                send();
+            });
+        };
 
-    var req = request(options, function (err, res, body) {
-        // handle invalid file reqs
-        if (!options.json && typeof body == 'string' && body.indexOf('{') === 0) {
-            body = JSON.parse(body);
-            res.body = JSON.parse(res.body);
-        }
-        // if a 401 is returned, hit the refresh token process
-        if (res.statusCode == 401 || (res.statusCode == 400 && !body.meta)) {
-            return refreshAccessToken(self, options, callback);
-        }
-        // all other error codes get sent to the caller
-        if (res.statusCode != 200) {
-            return callback && callback(res.body, res);
-        }
-        // only return javascript objects to callers on 200's
-        var data = {};
-        try {
-            data = JSON.parse(body);
-        } catch (err) {
-            data = body;
+    // documents with a schema are checked before anything is sent, and every problem is reported at once. Unknown
+    // fields are only logged, since the platform may accept them.
+    var input = options.input !== undefined ? options.input : options.json,
+        skip = !self.validate || options.validate === false || !!(input instanceof Object && input[SKIP_VALIDATION]),
+        problems = options.schema && !skip ? validate(schemas[options.schema], input) : [],
+        warnings = _.filter(problems, 'warning');
+    if (warnings.length) {
+        log(self, 'warn', {event: 'validationWarning', path: options.path, warnings: warnings});
+        problems = _.reject(problems, 'warning');
+    }
+    // valid claims are checked for consistency too, when the connection asks for it
+    if (!problems.length && options.schema == 'claims' && self.checkClaims) {
+        var check = checkClaim(options.json);
+        if (check.warnings.length) {
+            log(self, 'warn', {event: 'claimCheck', path: options.path, warnings: check.warnings});
         }
-        callback && callback(null, data);
-    });
-    //
-    // if ( options.formData ) {
-    //     var form = req.form();
-    //     _.each(options.formData, function(value, key) {
-    //         form.append(key, value);
-    //     });
-    // }
-
-    return req;
+        problems = check.errors;
+    }
+    if (problems.length) {
+        process.nextTick(function () {
+            finish(new errors.ValidationError('The ' + options.schema + ' request is invalid: ' +
+                _.map(problems, function (problem) {
+                    return (problem.field || 'request') + ': ' + problem.message;
+                }).join('; '), {path: options.path, fieldErrors: problems}));
+        });
+        return promise || req;
+    }
+    // get a token up front, rather than waiting for the platform to reject a missing or expired one
+    if (hasFreshToken(self)) {
+        req = send();
+    } else {
+        loadAccessToken(self, function () {
+            if (hasFreshToken(self)) {
+                return send();
+            }
+            authenticate();
+        });
+    }
+    return promise || req;
 };
 
 /**
@@ -218,7 +926,7 @@ PokitDok.prototype.activities = function (options, callback) {
         options = {};
     }
     var token = options.id || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/activities/' + token,
         method: (options.transition && options.id) ? 'PUT' : 'GET',
         qs: (!options.id) ? options : null,
@@ -228,6 +936,257 @@ PokitDok.prototype.activities = function (options, callback) {
     }, callback);
 };
 
+/**
+ * Wait for an activity, such as a submitted claim, to finish. The activity is polled with an exponential backoff until
+ * it is `completed`, `failed` or `canceled`, and the callback gets the activity in that state, with its result and
+ * units of work. Failed and canceled activities are not errors; check `activity.state.name`.
+ * @param {string|object} activity - the id of the activity, the activity, or the response of a submission like
+ * `pokitdok.claims(...)`
+ * @param {object} [options] - keys: `minDelay`, the milliseconds before the second poll (1000), doubled for every
+ * poll after it up to `maxDelay` (30000), `timeout`, the milliseconds to wait at most before failing with a
+ * `TimeoutError` (no limit), and `signal`, an `AbortSignal` that stops the wait with an `AbortError`. `AbortController`
+ * is global from Node 15 on; older versions need a polyfill for it.
+ * @param {function} [callback] - called with an error or null and the activity. Without a callback, a promise is
+ * returned.
+ * @returns {Promise} a promise for the activity, when no callback is given
+ * @example
+ *  ```js
+ *  // submit a claim and wait up to ten minutes for the payer to take it
+ *  pokitdok.claims(claimDocument).then(function (res) {
+ *      return pokitdok.waitForActivity(res, {timeout: 10 * 60 * 1000});
+ *  }).then(function (activity) {
+ *      console.log(activity.id + ' ' + activity.state.name, activity.result);
+ *  }, function (err) {
+ *      console.log(err.name + ': ' + err.message);
+ *  });
+ *  ```
+ * @example
+ *  ```js
+ *  // stop waiting when the worker shuts down
+ *  var controller = new AbortController();
+ *  process.once('SIGTERM', function () {
+ *      controller.abort();
+ *  });
+ *  pokitdok.waitForActivity(activityId, {signal: controller.signal}, function (err, activity) {
+ *      // ...
+ *  });
+ *  ```
+ */
+PokitDok.prototype.waitForActivity = function (activity, options, callback) {
+    var self = this,
+        promise = null;
+    if (options instanceof Function) {
+        callback = options;
+        options = null;
+    }
+    options = _.defaults({}, options, {minDelay: 1000, maxDelay: 30000, timeout: null, signal: null});
+    if (!(callback instanceof Function)) {
+        promise = new Promise(function (resolve, reject) {
+            callback = settle(resolve, reject);
+        });
+    }
+    var id = activityId(activity),
+        requestPath = '/activities/' + (id || ''),
+        latest = activity instanceof Object ? (activity.data instanceof Object ? activity.data : activity) : null,
+        polls = 0,
+        pollTimer = null,
+        timeoutTimer = null,
+        finished = false,
+        finish = function (err, result) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(pollTimer);
+            clearTimeout(timeoutTimer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', abort);
+            }
+            callback(err, result);
+        },
+        abort = function () {
+            finish(new errors.AbortError('Stopped waiting for activity ' + id, {path: requestPath,
+                activity: latest}));
+        },
+        poll = function () {
+            self.activities({id: id}, function (err, res) {
+                if (finished) {
+                    return;
+                }
+                if (err) {
+                    return finish(err);
+                }
+                latest = res.data;
+                if (_.includes(FINAL_ACTIVITY_STATES, _.get(latest, 'state.name'))) {
+                    return finish(null, latest);
+                }
+                pollTimer = setTimeout(poll, Math.min(options.maxDelay, options.minDelay * Math.pow(2, polls++)));
+            });
+        };
+
+    if (!id) {
+        process.nextTick(function () {
+            finish(new errors.ValidationError('An activity id, activity or submission response is required'));
+        });
+        return promise;
+    }
+    if (options.signal) {
+        if (options.signal.aborted) {
+            process.nextTick(abort);
+            return promise;
+        }
+        options.signal.addEventListener('abort', abort);
+    }
+    if (options.timeout !== null) {
+        timeoutTimer = setTimeout(function () {
+            finish(new errors.TimeoutError('Activity ' + id + ' did not finish within ' + options.timeout + ' ms',
+                {path: requestPath, activity: latest}));
+        }, options.timeout);
+    }
+    poll();
+    return promise;
+};
+
+/**
+ * Pause, cancel or resume every activity that matches a filter, such as the pending claims of a payer that is down.
+ * The activities list is read page by page and the transitions are sent as matches are found, a few at a time.
+ * Activities that already finished are skipped. A failed transition does not stop the others; every activity gets an
+ * outcome in the results:
+ *
+ * - `transitioned`, with the `activity` in its new state
+ * - `failed`, with the `error`
+ * - `skipped`, for activities that are `completed`, `failed` or `canceled`
+ * - `dry_run`, for the activities a dry run would have transitioned
+ * @param {object} filter - keys, all optional: `state`, a state name or a list of them, `name`, the activity name or a
+ * regular expression for it, `trading_partner_id`, and `since` and `until`, the dates, inclusive, to take the
+ * activities created between
+ * @param {string} transition - `pause`, `cancel` or `resume`
+ * @param {object} [options] - keys: `concurrency`, the number of transitions in flight at once (5), `dryRun`, true to
+ * only report the activities that match, and `pageSize`, the number of activities per page of the list (100)
+ * @param {function} [callback] - called with an error or null and `{transition, dryRun, results}`, the results being
+ * `{id, name, state, outcome}` per matching activity, with `state` the name of the state it was in. The error is
+ * only set when the list could not be read or the transition is unknown. When the list fails part way, no more pages
+ * are read, the transitions of the activities read so far still finish, and the error has their outcomes as
+ * `results`. Without a callback, a promise is returned.
+ * @returns {Promise} a promise for the results, when no callback is given
+ * @example
+ *  ```js
+ *  // pause the pending claims of a payer during an outage, after checking which ones they are
+ *  var filter = {trading_partner_id: 'MOCKPAYER', name: /837/, state: ['init', 'scheduled']};
+ *  pokitdok.transitionActivities(filter, 'pause', {dryRun: true}).then(function (report) {
+ *      console.log(report.results.length + ' activities would be paused');
+ *      return pokitdok.transitionActivities(filter, 'pause');
+ *  }).then(function (report) {
+ *      _.each(report.results, function (result) {
+ *          console.log(result.id + ': ' + result.outcome + (result.error ? ' ' + result.error.message : ''));
+ *      });
+ *  });
+ *  // and resume them once the payer is back
+ *  pokitdok.transitionActivities({trading_partner_id: 'MOCKPAYER', state: 'paused'}, 'resume', callback);
+ *  ```
+ */
+PokitDok.prototype.transitionActivities = function (filter, transition, options, callback) {
+    var self = this,
+        promise = null;
+    if (options instanceof Function) {
+        callback = options;
+        options = null;
+    }
+    filter = filter || {};
+    options = _.defaults({}, options, {concurrency: 5, dryRun: false, pageSize: 100});
+    if (!(callback instanceof Function)) {
+        promise = new Promise(function (resolve, reject) {
+            callback = settle(resolve, reject);
+        });
+    }
+    var iterator = self.iterate('activities', {}, {pageSize: options.pageSize}),
+        results = [],
+        queue = [],
+        active = 0,
+        listed = false,
+        listError = null,
+        finished = false,
+        finish = function (err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            if (err) {
+                err.results = results;
+                return callback(err);
+            }
+            callback(null, {transition: transition, dryRun: !!options.dryRun, results: results});
+        },
+        // send the queued transitions, up to the concurrency, and finish once the list is read and all are done
+        dispatch = function () {
+            while (queue.length && active < Math.max(1, options.concurrency)) {
+                send(queue.shift());
+            }
+            if (listed && !queue.length && !active) {
+                finish(listError);
+            }
+        },
+        // stop reading the list, and fail once the transitions of the activities read so far are done
+        stop = function (err) {
+            listed = true;
+            listError = err;
+            dispatch();
+        },
+        send = function (result) {
+            active++;
+            self.activities({id: result.id, transition: transition}, function (err, res) {
+                active--;
+                if (err) {
+                    result.outcome = 'failed';
+                    result.error = err;
+                } else {
+                    result.outcome = 'transitioned';
+                    result.activity = res.data;
+                }
+                dispatch();
+            });
+        },
+        receive = function (activity) {
+            var result;
+            if (!activityMatches(activity, filter)) {
+                return;
+            }
+            result = {id: activity.id, name: activity.name, state: _.get(activity, 'state.name')};
+            results.push(result);
+            if (_.includes(FINAL_ACTIVITY_STATES, result.state)) {
+                result.outcome = 'skipped';
+            } else if (options.dryRun) {
+                result.outcome = 'dry_run';
+            } else {
+                queue.push(result);
+                dispatch();
+            }
+        },
+        read = function () {
+            iterator.next().then(function (item) {
+                if (item.done) {
+                    return stop(null);
+                }
+                // an activity that can't be taken in stops the list the same as a page that can't be read
+                try {
+                    receive(item.value);
+                } catch (err) {
+                    return stop(err);
+                }
+                read();
+            }, stop);
+        };
+
+    if (!_.includes(['pause', 'cancel', 'resume'], transition)) {
+        process.nextTick(function () {
+            finish(new errors.ValidationError('Unknown transition ' + transition + ', use pause, cancel or resume'));
+        });
+        return promise;
+    }
+    read();
+    return promise;
+};
+
 /**
  * The Authorizations resource allows an application to submit a request for the
  * review of health care in order to obtain an authorization for that health care.
@@ -289,10 +1248,11 @@ PokitDok.prototype.activities = function (options, callback) {
  *  ```
  */
 PokitDok.prototype.authorizations = function (options, callback) {
-    this.apiRequest({
+    return this.apiRequest({
         path: '/authorizations/',
         method: 'POST',
-        json: options
+        json: options,
+        schema: 'authorizations'
     }, callback);
 };
 
@@ -321,15 +1281,23 @@ PokitDok.prototype.authorizations = function (options, callback) {
  *  ```
  */
 PokitDok.prototype.cashPrices = function (options, callback) {
-    this.apiRequest({
+    if (options instanceof Function) {
+        callback = options;
+        options = null;
+    }
+    var query = normalizeCode(options, 'cpt_code', codes.PROCEDURE_SYSTEMS);
+    return this.apiRequest({
         path: '/prices/cash',
         method: 'GET',
-        qs: options
+        qs: query,
+        input: query,
+        schema: 'cashPrices'
     }, callback);
 };
 
 /**
  * Submit a claim for processing. The API calls back with an activity object that tracks the state of the claim.
+ * Connections created with `checkClaims: true` check the claim with `PokitDok.checkClaim` first.
  * @param {object} options - the claim document
  * @param {function} callback - a callback function that accepts an error and response parameter
  *
@@ -392,10 +1360,11 @@ PokitDok.prototype.cashPrices = function (options, callback) {
  *  ```
  */
 PokitDok.prototype.claims = function (options, callback) {
-    this.apiRequest({
+    return this.apiRequest({
         path: '/claims/',
         method: 'POST',
-        json: options
+        json: options,
+        schema: 'claims'
     }, callback);
 };
 
@@ -435,10 +1404,11 @@ PokitDok.prototype.claims = function (options, callback) {
  *  ```
  */
 PokitDok.prototype.claimStatus = function (options, callback) {
-    this.apiRequest({
+    return this.apiRequest({
         path: '/claims/status',
         method: 'POST',
-        json: options
+        json: options,
+        schema: 'claimStatus'
     }, callback);
 };
 
@@ -501,13 +1471,185 @@ PokitDok.prototype.claimStatus = function (options, callback) {
  *  ```
  */
 PokitDok.prototype.eligibility = function (options, callback) {
-    this.apiRequest({
+    return this.apiRequest({
         path: '/eligibility/',
         method: 'POST',
-        json: options
+        json: options,
+        schema: 'eligibility'
     }, callback);
 };
 
+/**
+ * Check the eligibility of many members, such as every patient scheduled for a clinic day. The requests are sent a few
+ * at a time, and each one succeeds or fails on its own: the callback gets the `succeeded` requests, with the `data` of
+ * the eligibility response, and the `failed` ones, with their `error`, both in the order of the input and with the
+ * `input` request and its `index` attached.
+ *
+ * With a `checkpoint` file, every eligibility response is written to that file as it comes in. A run that crashed
+ * resumes from it: requests found in the checkpoint are taken from it, marked `resumed`, instead of being sent again.
+ * The checkpoint is removed once a run finishes without failures, and kept otherwise, so running the batch again only
+ * retries the failed requests. It holds member data; it is created readable by its owner only.
+ * @param {Array|stream.Readable} requests - the eligibility requests, as passed to `pokitdok.eligibility(...)`, or an
+ * object mode stream of them. A stream is paused while the requests are in flight.
+ * @param {object} [options] - keys: `concurrency`, the number of requests in flight at once (5), `checkpoint`, the path
+ * of the checkpoint file, and `key`, a function that gets a request and its index and returns the string that
+ * identifies the request in the checkpoint, by default a hash of the request
+ * @param {function} [callback] - called with an error or null and `{succeeded, failed}`. The error is only set when
+ * the checkpoint can not be read or written or the stream fails. Without a callback, a promise is returned.
+ * @returns {Promise} a promise for the results, when no callback is given
+ * @example
+ *  ```js
+ *  // check tomorrow's patients; after a crash, the same call picks up where the last run stopped
+ *  pokitdok.batchEligibility(appointments.map(function (appointment) {
+ *      return {
+ *          member: appointment.member,
+ *          provider: {npi: appointment.provider_npi},
+ *          trading_partner_id: appointment.trading_partner_id
+ *      };
+ *  }), {concurrency: 10, checkpoint: '/var/lib/clinic/eligibility-checkpoint.json'}).then(function (batch) {
+ *      batch.succeeded.forEach(function (result) {
+ *          console.log(result.input.member.id + ': ' + (result.data.coverage.active ? 'active' : 'inactive'));
+ *      });
+ *      batch.failed.forEach(function (result) {
+ *          console.log(result.input.member.id + ' failed: ' + result.error.message);
+ *      });
+ *  });
+ *  ```
+ */
+PokitDok.prototype.batchEligibility = function (requests, options, callback) {
+    var self = this,
+        promise = null;
+    if (options instanceof Function) {
+        callback = options;
+        options = null;
+    }
+    options = _.defaults({}, options, {
+        concurrency: 5,
+        checkpoint: null,
+        key: function (input) {
+            return crypto.createHash('sha1').update(JSON.stringify(input)).digest('hex');
+        }
+    });
+    if (!(callback instanceof Function)) {
+        promise = new Promise(function (resolve, reject) {
+            callback = settle(resolve, reject);
+        });
+    }
+    var source = requests instanceof Array ? null : requests,
+        checkpoint = options.checkpoint ? new JsonFile(options.checkpoint, {mode: parseInt('600', 8)}) : null,
+        checked = {},
+        succeeded = [],
+        failed = [],
+        queue = [],
+        count = 0,
+        active = 0,
+        ended = false,
+        finished = false,
+        concurrency = Math.max(1, options.concurrency),
+        finish = function (err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            if (source) {
+                source.removeListener('data', receive);
+                source.pause();
+            }
+            callback(err || null, err ? undefined : {
+                succeeded: _.sortBy(succeeded, 'index'),
+                failed: _.sortBy(failed, 'index')
+            });
+        },
+        // the checkpoint is kept while there are requests to retry
+        complete = function () {
+            if (!checkpoint) {
+                return finish(null);
+            }
+            if (failed.length) {
+                return checkpoint.write({results: checked}, finish);
+            }
+            checkpoint.remove(finish);
+        },
+        receive = function (input) {
+            queue.push({index: count++, input: input});
+            if (queue.length >= concurrency) {
+                source.pause();
+            }
+            dispatch();
+        },
+        // send the queued requests, up to the concurrency, and complete once the input is used up
+        dispatch = function () {
+            while (!finished && queue.length && active < concurrency) {
+                send(queue.shift());
+            }
+            if (finished) {
+                return;
+            }
+            if (source && !ended && queue.length < concurrency) {
+                source.resume();
+            }
+            if (ended && !queue.length && !active) {
+                complete();
+            }
+        },
+        send = function (item) {
+            var key = String(options.key(item.input, item.index));
+            if (_.has(checked, key)) {
+                succeeded.push({index: item.index, input: item.input, data: checked[key].data, resumed: true});
+                return;
+            }
+            active++;
+            self.eligibility(item.input, function (err, res) {
+                active--;
+                if (finished) {
+                    return;
+                }
+                if (err) {
+                    failed.push({index: item.index, input: item.input, error: err});
+                    return dispatch();
+                }
+                succeeded.push({index: item.index, input: item.input, data: res.data});
+                if (!checkpoint) {
+                    return dispatch();
+                }
+                checked[key] = {data: res.data};
+                checkpoint.write({results: checked}, function (err) {
+                    if (err) {
+                        finish(err);
+                    }
+                });
+                dispatch();
+            });
+        },
+        start = function () {
+            if (!source) {
+                queue = _.map(requests, function (input, index) {
+                    return {index: index, input: input};
+                });
+                ended = true;
+                return dispatch();
+            }
+            source.on('data', receive).once('end', function () {
+                ended = true;
+                dispatch();
+            }).once('error', finish);
+            dispatch();
+        };
+
+    if (!checkpoint) {
+        start();
+        return promise;
+    }
+    checkpoint.read(function (err, saved) {
+        if (err) {
+            return finish(err);
+        }
+        checked = (saved && saved.results) || {};
+        start();
+    });
+    return promise;
+};
+
 /**
  * Get an enrollment response from a trading partner based on the provided enrollment document (provider, member,
  * cpt code, service_types)
@@ -545,41 +1687,117 @@ PokitDok.prototype.eligibility = function (options, callback) {
 PokitDok.prototype.enrollment = function (options, callback) {
     // basic file validation
     // encode file for delivery over http
-    this.apiRequest({
+    return this.apiRequest({
         path: '/enrollment/',
         method: 'POST',
-        json: options
+        json: options,
+        schema: 'enrollment'
     }, callback);
 };
 
 
-// /**
-//  * Submit X12 837 file content to convert to a claims API request and map any ICD-9 codes to ICD-10
-//  * @param  x12ClaimsFile: a X12 claims file to be submitted to the platform for processing
-//  * @param {function} callback - a callback function that accepts an error and response parameter
-//  *
-//  * {@link https://platform.pokitdok.com/documentation/v4/#claims-convert| See API documentation for more information}
-//  * @example
-//  * ```js
-//  * var text = 'valid x12 claim file content';
-//  * pokitdok.claimsConvert(text, function(err, res) {
-//  *     if (err) {
-//  *          return console.log(err, res.statusCode);
-//  *      }
-//  *      // print the converted data
-//  *      console.log(res.data);
-//  * });
-//  * ```
-//  */
-// PokitDok.prototype.claimsConvert = function(pathToX12File, callback) {
-//     var readStream = fs.createReadStream(pathToX12File);
-//     readStream.pipe(this.apiRequest({
-//         path: '/claims/convert',
-//         method: 'POST',
-//         formData: {},
-//     }, callback));
-// };
+/**
+ * Submit X12 837 file content to convert to a claims API request and map any ICD-9 codes to ICD-10. The file is sent
+ * as a multipart upload and may be given as a file path, a Buffer or a readable stream.
+ * @param {string|Buffer|stream.Readable} x12ClaimsFile - a X12 claims file to be submitted to the platform for processing
+ * @param {function} callback - a callback function that accepts an error and response parameter
+ *
+ * {@link https://platform.pokitdok.com/documentation/v4/#claims-convert| See API documentation for more information}
+ * @example
+ *  ```js
+ *  // convert a X12 837 file on disk to a claims API request
+ *  pokitdok.claimsConvert('./claims/test_claim.837', function (err, res) {
+ *      if (err) {
+ *          return console.log(err, res.statusCode);
+ *      }
+ *      // print the converted data
+ *      console.log(res.data);
+ *  });
+ *  ```
+ * @example
+ *  ```js
+ *  // convert X12 837 content that is already in memory
+ *  pokitdok.claimsConvert(new Buffer(x12Text), function (err, res) {
+ *      if (err) {
+ *          return console.log(err, res.statusCode);
+ *      }
+ *      console.log(res.data);
+ *  });
+ *  ```
+ */
+PokitDok.prototype.claimsConvert = function (x12ClaimsFile, callback) {
+    var self = this;
+    if (!(callback instanceof Function)) {
+        return new Promise(function (resolve, reject) {
+            self.claimsConvert(x12ClaimsFile, settle(resolve, reject));
+        });
+    }
+    readUpload(x12ClaimsFile, function (err, upload) {
+        if (err) {
+            return callback(err);
+        }
+        self.apiRequest({
+            path: '/claims/convert',
+            method: 'POST',
+            formData: {
+                file: upload
+            }
+        }, callback);
+    });
+};
 
+/**
+ * Submit a raw X12 file to a trading partner for processing. The API calls back with an activity object that tracks the
+ * state of the submitted file. The X12 content may be given as a file path, a Buffer or a readable stream, and content
+ * that does not start with an ISA interchange header is rejected before it is uploaded.
+ * @param {object} options - keys: file (a file path, Buffer or readable stream), path_x12_file (a file path, used
+ * when file is not set), trading_partner_id
+ * @param {function} callback - a callback function that accepts an error and response parameter
+ *
+ * {@link https://platform.pokitdok.com/documentation/v4/#files| See API documentation for more information}
+ * @example
+ *  ```js
+ *  // submit a raw X12 file to MOCKPAYER
+ *  pokitdok.files({
+ *      path_x12_file: './claims/test_claim.837',
+ *      trading_partner_id: 'MOCKPAYER'
+ *  }, function (err, res) {
+ *      if (err) {
+ *          return console.log(err, res && res.statusCode);
+ *      }
+ *      // print the activity id, name and state
+ *      console.log(res.data.id + ':' + res.data.name + ':' + res.data.state.name);
+ *  });
+ *  ```
+ */
+PokitDok.prototype.files = function (options, callback) {
+    var self = this;
+    if (!(callback instanceof Function)) {
+        return new Promise(function (resolve, reject) {
+            self.files(options, settle(resolve, reject));
+        });
+    }
+    options = options || {};
+    readUpload(options.file || options.path_x12_file, function (err, upload) {
+        if (err) {
+            return callback(err);
+        }
+        // every X12 interchange starts with a fixed length ISA segment
+        if (!/^\s*ISA/.test(upload.value.toString('ascii', 0, 128))) {
+            return callback(new errors.ValidationError('X12 content must start with an ISA interchange header', {
+                fieldErrors: [{field: 'file', message: 'X12 content must start with an ISA interchange header'}]
+            }));
+        }
+        self.apiRequest({
+            path: '/files/',
+            method: 'POST',
+            formData: {
+                file: upload,
+                trading_partner_id: options.trading_partner_id
+            }
+        }, callback);
+    });
+};
 
 /**
  * The ICD Convert endpoint allows a client application to request ICD-9 to ICD-10
@@ -607,15 +1825,18 @@ PokitDok.prototype.enrollment = function (options, callback) {
  PokitDok.prototype.icdConvert = function(options, callback) {
      if (options instanceof Function) {
          callback = options;
+         options = null;
      }
      if (!options) {
          options = {};
      }
+    options = normalizeCode(options, 'code', 'icd9');
     var token = options.code || ''
-    this.apiRequest({
+    return this.apiRequest({
         path: '/icd/convert/' + token,
         method: 'GET',
-        json: options
+        json: options,
+        schema: 'icdConvert'
     }, callback);
  };
 
@@ -646,10 +1867,17 @@ PokitDok.prototype.enrollment = function (options, callback) {
  *  ```
  */
 PokitDok.prototype.insurancePrices = function (options, callback) {
-    this.apiRequest({
+    if (options instanceof Function) {
+        callback = options;
+        options = null;
+    }
+    var query = normalizeCode(options, 'cpt_code', codes.PROCEDURE_SYSTEMS);
+    return this.apiRequest({
         path: '/prices/insurance',
         method: 'GET',
-        qs: options
+        qs: query,
+        input: query,
+        schema: 'insurancePrices'
     }, callback);
 };
 
@@ -677,15 +1905,19 @@ PokitDok.prototype.insurancePrices = function (options, callback) {
 PokitDok.prototype.medicalProcedureCodes = function(options, callback) {
     if (options instanceof Function) {
         callback = options;
+        options = null;
     }
     if (!options) {
         options = {};
     }
+    options = normalizeCode(options, 'code', codes.PROCEDURE_SYSTEMS);
     var token = options.code || ''
-    this.apiRequest({
+    return this.apiRequest({
         path: '/mpc/' + token,
         method: 'GET',
         qs: (!options.code) ? options : null,
+        input: options,
+        schema: 'medicalProcedureCodes',
     }, callback);
 };
 
@@ -713,7 +1945,7 @@ PokitDok.prototype.medicalProcedureCodes = function(options, callback) {
  *  ```
  */
 PokitDok.prototype.payers = function (callback) {
-    this.apiRequest({
+    return this.apiRequest({
         path: '/payers/',
         method: 'GET'
     }, callback);
@@ -758,7 +1990,7 @@ PokitDok.prototype.plans = function(options, callback){
     if (options instanceof Function) {
         callback = options;
     }
-    this.apiRequest({
+    return this.apiRequest({
         path: '/plans/',
         method: 'GET',
         qs: options
@@ -808,10 +2040,12 @@ PokitDok.prototype.plans = function(options, callback){
  */
 PokitDok.prototype.providers = function (options, callback) {
     var token = options.npi || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/providers/' + token,
         method: 'GET',
-        qs: (!options.npi) ? options : null
+        qs: (!options.npi) ? options : null,
+        input: options,
+        schema: 'providers'
     }, callback);
 };
 
@@ -871,10 +2105,11 @@ PokitDok.prototype.providers = function (options, callback) {
 PokitDok.prototype.referrals = function (options, callback) {
 
 
-    this.apiRequest({
+    return this.apiRequest({
         path: '/referrals/',
         method: 'POST',
-        json: options
+        json: options,
+        schema: 'referrals'
     }, callback);
 };
 
@@ -921,7 +2156,7 @@ PokitDok.prototype.schedulers = function (options, callback) {
         options = {};
     }
     var token = options.uuid || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/schedulers/' + token,
         method: 'GET'
     }, callback);
@@ -968,7 +2203,7 @@ PokitDok.prototype.appointmentTypes = function (options, callback) {
         options = {};
     }
     var token = options.uuid || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/appointmenttypes/' + token,
         method: 'GET'
     }, callback);
@@ -1021,7 +2256,7 @@ PokitDok.prototype.appointments = function (options, callback) {
         options = {};
     }
     var token = options.uuid || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/appointments/' + token,
         method: 'GET',
         qs: (!options.uuid) ? options : null
@@ -1058,7 +2293,7 @@ PokitDok.prototype.updateAppointment = function (options, callback) {
         options = {};
     }
     var token = options.uuid || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/appointments/' + token,
         method: 'PUT',
         options: options
@@ -1095,7 +2330,7 @@ PokitDok.prototype.deleteAppointment = function (options, callback) {
         options = {};
     }
     var token = options.uuid || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/appointments/' + token,
         method: 'DELETE'
     }, callback);
@@ -1139,7 +2374,7 @@ PokitDok.prototype.addPatientToSystem = function (options, callback) {
     if (!options) {
         options = {};
     }
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/patient/',
         method: 'POST',
         json: options
@@ -1182,7 +2417,7 @@ PokitDok.prototype.createAppointmentSlot = function (options, callback) {
     if (!options) {
         options = {};
     }
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/slots/',
         method: 'POST',
         json: options
@@ -1218,7 +2453,7 @@ PokitDok.prototype.deleteAppointmentSlot = function (options, callback) {
         options = {};
     }
     var token = options.uuid || '';
-    this.apiRequest({
+    return this.apiRequest({
         path: '/schedule/slots/' + token,
         method: 'DELETE'
     }, callback);
@@ -1277,7 +2512,7 @@ PokitDok.prototype.getIdentity = function (options, callback) {
     } else {
         path = '/identity?'
     }
-    this.apiRequest({
+    return this.apiRequest({
         path: path,
         method: 'GET',
         qs: (!options.uuid) ? options : null
@@ -1343,7 +2578,7 @@ PokitDok.prototype.updateIdentity = function (options, callback) {
 
     var token = options.uuid;
 
-    this.apiRequest({
+    return this.apiRequest({
         path: '/identity/' + token,
         method: 'PUT'
     }, callback);
@@ -1403,7 +2638,7 @@ PokitDok.prototype.createIdentity = function (options, callback) {
     if (!options) {
         options = {};
     }
-    this.apiRequest({
+    return this.apiRequest({
         path: '/identity/',
         method: 'POST',
         options: options
@@ -1447,14 +2682,50 @@ PokitDok.prototype.tradingPartners = function(options, callback){
     var token = '';
     if (options instanceof Function) {
         callback = options;
-    } else {
+    } else if (options) {
         token = options.id || '';
     }
-    this.apiRequest({
+    return this.apiRequest({
         path: '/tradingpartners/' + token,
         method: 'GET'
     }, callback);
 };
 
+/**
+ * Mark a request document to be sent without validation, for a request the schemas reject but the platform accepts.
+ * The document passed in is not changed; send the copy that is returned.
+ * @param {object} document - the request document, such as the options of `pokitdok.eligibility(...)`
+ * @returns {object} a copy of the document that skips validation
+ * @example
+ *  ```js
+ *  // send an eligibility request with a member field the schema doesn't allow yet
+ *  pokitdok.eligibility(PokitDok.skipValidation(eligibilityRequest), function (err, res) {
+ *      // ...
+ *  });
+ *  ```
+ */
+PokitDok.skipValidation = function (document) {
+    var copy = _.clone(document);
+    Object.defineProperty(copy, SKIP_VALIDATION, {value: true});
+    return copy;
+};
+
+// expose the error classes, token stores, scheduler, redaction, validation, identifier and claim checks, pagination,
+// the activity watcher, and the code and X12 utilities
+PokitDok.errors = errors;
+PokitDok.tokens = tokens;
+PokitDok.Scheduler = Scheduler;
+PokitDok.redact = redact;
+PokitDok.validate = validate;
+PokitDok.schemas = schemas;
+PokitDok.identifiers = require('./lib/identifiers');
+PokitDok.codes = codes;
+PokitDok.PageIterator = pages.PageIterator;
+PokitDok.PageStream = pages.PageStream;
+PokitDok.ActivityWatcher = ActivityWatcher;
+PokitDok.checkClaim = checkClaim;
+PokitDok.x12 = require('./lib/x12');
+PokitDok.claim837 = require('./lib/claim837');
+
 // expose the constructor
 module.exports = PokitDok;
@@ -0,0 +1,607 @@
+// Conversion between the claims() JSON document and X12 837 professional claims (005010X222A1). Private functions
+// should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var crypto = require('crypto'),
+    x12 = require('./x12'),
+    codes = require('./codes'),
+    _ = require('lodash');
+
+var IMPLEMENTATION = '005010X222A1',
+    defaultSeparators = {
+        element: '*',
+        component: ':',
+        repetition: '^',
+        segment: '~'
+    },
+    // place of service names used by the claims API and their CMS place of service codes
+    placesOfService = {
+        telehealth: '02',
+        school: '03',
+        office: '11',
+        home: '12',
+        assisted_living_facility: '13',
+        urgent_care_facility: '20',
+        inpatient_hospital: '21',
+        outpatient_hospital: '22',
+        emergency_room_hospital: '23',
+        ambulatory_surgical_center: '24',
+        birthing_center: '25',
+        skilled_nursing_facility: '31',
+        nursing_facility: '32',
+        ambulance_land: '41',
+        independent_clinic: '49',
+        federally_qualified_health_center: '50',
+        community_mental_health_center: '53',
+        end_stage_renal_disease_treatment_facility: '65',
+        public_health_clinic: '71',
+        rural_health_clinic: '72',
+        independent_laboratory: '81'
+    },
+    claimFrequencies = {
+        original: '1',
+        replacement: '7',
+        void: '8'
+    },
+    payerResponsibilities = {
+        primary: 'P',
+        secondary: 'S',
+        tertiary: 'T'
+    },
+    genders = {
+        female: 'F',
+        male: 'M'
+    },
+    // individual relationship codes for a patient other than the subscriber
+    relationships = {
+        spouse: '01',
+        child: '19',
+        employee: '20',
+        unknown: '21',
+        organ_donor: '39',
+        cadaver_donor: '40',
+        life_partner: '53',
+        other_relationship: 'G8'
+    };
+
+// a private function to pad or truncate a value to the fixed width of an ISA element
+var fixed = function (value, width, padding) {
+    value = String(value === undefined || value === null ? '' : value);
+    if (padding == '0') {
+        return (new Array(width + 1).join('0') + value).slice(-width);
+    }
+    return (value + new Array(width + 1).join(' ')).slice(0, width);
+};
+
+// a private function to format an amount or quantity without insignificant trailing zeros
+var number = function (value) {
+    return String(Number(value));
+};
+
+// a private function to format a JSON date (YYYY-MM-DD) as an X12 date (CCYYMMDD)
+var date = function (value) {
+    return String(value || '').replace(/-/g, '');
+};
+
+// a private function to format a Date as X12 date and time elements
+var timestamp = function (value) {
+    var pad = function (n) {
+        return n < 10 ? '0' + n : String(n);
+    };
+    return {
+        date: value.getFullYear() + pad(value.getMonth() + 1) + pad(value.getDate()),
+        time: pad(value.getHours()) + pad(value.getMinutes())
+    };
+};
+
+// a private function that builds segments and takes care of separators and trailing empty elements
+var SegmentWriter = function (separators) {
+    this.separators = separators;
+    this.segments = [];
+};
+
+SegmentWriter.prototype.clean = function (value) {
+    var separators = this.separators;
+    value = value === undefined || value === null ? '' : String(value);
+    // separators can't be escaped in X12, so they are replaced in element data
+    _.each([separators.element, separators.component, separators.repetition, separators.segment], function (separator) {
+        value = value.split(separator).join(' ');
+    });
+    return value;
+};
+
+SegmentWriter.prototype.composite = function (values) {
+    var self = this;
+    return _.map(_.dropRightWhile(values, function (value) {
+        return value === undefined || value === null || value === '';
+    }), function (value) {
+        return self.clean(value);
+    }).join(self.separators.component);
+};
+
+SegmentWriter.prototype.add = function (id, elements) {
+    var self = this;
+    elements = _.map(elements, function (element) {
+        return element instanceof Array ? self.composite(element) : self.clean(element);
+    });
+    this.segments.push([id].concat(_.dropRightWhile(elements, function (element) {
+        return element === '';
+    })).join(this.separators.element));
+    return this;
+};
+
+// a private function to tell whether service dates have to be coded with ICD-10
+var usesIcd10 = function (claim) {
+    var dates = _.compact(_.pluck(claim.service_lines, 'service_date'));
+    return !dates.length || _.min(dates, function (serviceDate) {
+        return Date.parse(serviceDate);
+    }) >= codes.ICD10_CUTOVER;
+};
+
+// a private function to strip the dot from an ICD code, as diagnosis codes are sent without it in X12
+var undotted = function (code) {
+    return String(code).replace(/\./g, '').replace(/\s+/g, '').toUpperCase();
+};
+
+// a private function to write the name, address and demographic segments shared by the subscriber and patient loops
+var writePerson = function (writer, entityCode, person, identifierQualifier, identifier) {
+    var address = person.address || {};
+    writer.add('NM1', [entityCode, person.organization_name ? '2' : '1',
+        person.organization_name || person.last_name, person.first_name, person.middle_name, null, person.suffix,
+        identifier ? identifierQualifier : null, identifier]);
+    if (address.address_lines && address.address_lines.length) {
+        writer.add('N3', address.address_lines.slice(0, 2));
+        writer.add('N4', [address.city, address.state, address.zipcode]);
+    }
+    if (person.birth_date || person.gender) {
+        writer.add('DMG', ['D8', date(person.birth_date), genders[person.gender] || 'U']);
+    }
+};
+
+// a private function to check the parts of a claims document an 837P can't be written without
+var requireClaimFields = function (document) {
+    var missing = _.filter(['trading_partner_id', 'billing_provider.npi', 'subscriber.member_id',
+        'subscriber.last_name', 'claim.total_charge_amount', 'claim.service_lines'], function (path) {
+        var value = _.get(document, path);
+        return value === undefined || value === null || value === '' || (value instanceof Array && !value.length);
+    });
+    if (missing.length) {
+        throw new Error('The claims document is missing ' + missing.join(', '));
+    }
+};
+
+// a private function to write the transaction set for a single claims document
+var writeTransaction = function (writer, document, controlNumber, options, now) {
+    var start = writer.segments.length,
+        provider = document.billing_provider,
+        subscriber = document.subscriber,
+        patient = document.patient,
+        claim = document.claim,
+        submitter = options.submitter || {},
+        receiver = options.receiver || {},
+        payer = options.payer || {},
+        icd10 = usesIcd10(claim),
+        diagnoses = _.uniq(_.map(_.compact(_.flatten(_.pluck(claim.service_lines, 'diagnosis_codes'))), undotted)),
+        providerAddress = provider.address || {},
+        hierarchy = 2;
+
+    if (!diagnoses.length) {
+        throw new Error('An 837P claim needs at least one diagnosis code');
+    }
+    if (diagnoses.length > 12) {
+        throw new Error('An 837P claim can have at most 12 diagnosis codes');
+    }
+
+    writer.add('ST', ['837', controlNumber, IMPLEMENTATION]);
+    writer.add('BHT', ['0019', '00', options.reference || controlNumber, now.date, now.time, 'CH']);
+
+    // 1000A submitter and 1000B receiver
+    writer.add('NM1', ['41', '2', submitter.name || options.senderId, null, null, null, null, '46',
+        submitter.id || options.senderId]);
+    writer.add('PER', ['IC', submitter.contact_name, submitter.phone ? 'TE' : submitter.email ? 'EM' : null,
+        submitter.phone || submitter.email]);
+    writer.add('NM1', ['40', '2', receiver.name || document.trading_partner_id, null, null, null, null, '46',
+        receiver.id || options.receiverId]);
+
+    // 2000A billing provider
+    writer.add('HL', ['1', null, '20', '1']);
+    if (provider.taxonomy_code) {
+        writer.add('PRV', ['BI', 'PXC', provider.taxonomy_code]);
+    }
+    writer.add('NM1', ['85', provider.organization_name ? '2' : '1', provider.organization_name || provider.last_name,
+        provider.first_name, provider.middle_name, null, provider.suffix, 'XX', provider.npi]);
+    writer.add('N3', (providerAddress.address_lines || []).slice(0, 2));
+    // the billing provider zip code must be the full 9 digit ZIP+4
+    writer.add('N4', [providerAddress.city, providerAddress.state,
+        String(providerAddress.zipcode || '').replace(/-/g, '').replace(/^(\d{5})$/, '$10000')]);
+    writer.add('REF', ['EI', String(provider.tax_id || '').replace(/-/g, '')]);
+
+    // 2000B subscriber
+    writer.add('HL', ['2', '1', '22', patient ? '1' : '0']);
+    writer.add('SBR', [payerResponsibilities[subscriber.payer_responsibility] || 'P', patient ? null : '18',
+        subscriber.group_number, null, null, null, null, null, claim.claim_filing_code || 'ZZ']);
+    writePerson(writer, 'IL', subscriber, 'MI', subscriber.member_id);
+    writer.add('NM1', ['PR', '2', payer.name || document.trading_partner_id, null, null, null, null, 'PI',
+        payer.id || receiver.id || options.receiverId]);
+
+    // 2000C patient, when the patient is a dependent of the subscriber
+    if (patient) {
+        writer.add('HL', [String(++hierarchy), '2', '23', '0']);
+        writer.add('PAT', [relationships[patient.relationship] || relationships.unknown]);
+        writePerson(writer, 'QC', patient);
+    }
+
+    // 2300 claim
+    writer.add('CLM', [claim.patient_control_number || crypto.randomBytes(10).toString('hex'),
+        number(claim.total_charge_amount), null, null,
+        [placesOfService[claim.place_of_service] || claim.place_of_service || placesOfService.office, 'B',
+            claimFrequencies[claim.claim_frequency] || claim.claim_frequency || claimFrequencies.original],
+        'Y', 'A', 'Y', 'I']);
+    writer.add('HI', _.map(diagnoses, function (code, index) {
+        return [(icd10 ? 'AB' : 'B') + (index ? 'F' : 'K'), code];
+    }));
+
+    // 2400 service lines
+    _.each(claim.service_lines, function (line, index) {
+        var pointers = _.uniq(_.map(line.diagnosis_codes, function (code) {
+            return String(_.indexOf(diagnoses, undotted(code)) + 1);
+        })).slice(0, 4);
+        writer.add('LX', [String(index + 1)]);
+        writer.add('SV1', [['HC', line.procedure_code].concat(line.procedure_modifier_codes || []),
+            number(line.charge_amount), 'UN', number(line.unit_count || 1), null, null, pointers]);
+        if (line.service_end_date && line.service_end_date != line.service_date) {
+            writer.add('DTP', ['472', 'RD8', date(line.service_date) + '-' + date(line.service_end_date)]);
+        } else {
+            writer.add('DTP', ['472', 'D8', date(line.service_date)]);
+        }
+    });
+
+    // the SE segment count includes the ST and SE segments
+    writer.add('SE', [String(writer.segments.length - start + 1), controlNumber]);
+};
+
+/**
+ * Write one or more claims() JSON documents as an X12 837 professional (005010X222A1) interchange. Each document
+ * becomes a transaction set in a single functional group. Diagnosis codes are written with ICD-10 qualifiers when
+ * every service date is on or after the ICD-10 cutover of 2015-10-01, and with ICD-9 qualifiers otherwise.
+ * @param {object|Array} documents - a claims() document or a list of them
+ * @param {object} [options] - keys: `senderId`, `senderQualifier`, `receiverId`, `receiverQualifier`,
+ * `interchangeControlNumber`, `groupControlNumber`, `transactionControlNumber` (of the first transaction set, the
+ * next ones count up), `usageIndicator` (`T` for test or `P` for production), `date` (a Date, defaults to now),
+ * `reference`, `submitter` (keys: name, id, contact_name, email, phone), `receiver` (keys: name, id), `payer`
+ * (keys: name, id) and `separators` (keys: element, component, repetition, segment)
+ * @returns {string} the X12 interchange
+ * @example
+ *  ```js
+ *  // write a claims() document as an 837P file for a clearinghouse
+ *  var claim837 = require('pokitdok-nodejs').claim837;
+ *  fs.writeFileSync('claim.837', claim837.toX12(claimDocument, {
+ *      senderId: '901234572000',
+ *      receiverId: '908887732000',
+ *      interchangeControlNumber: 7,
+ *      submitter: {name: 'Pokitdok, Inc.', id: '12345', email: 'x12info@pokitdok.com'},
+ *      receiver: {id: '12345'}
+ *  }));
+ *  ```
+ */
+var toX12 = function (documents, options) {
+    options = _.extend({
+        senderId: 'SENDER',
+        senderQualifier: 'ZZ',
+        receiverId: 'RECEIVER',
+        receiverQualifier: 'ZZ',
+        interchangeControlNumber: 1,
+        groupControlNumber: 1,
+        transactionControlNumber: 1,
+        usageIndicator: 'T'
+    }, options);
+    documents = documents instanceof Array ? documents : [documents];
+
+    var separators = _.extend({}, defaultSeparators, options.separators),
+        writer = new SegmentWriter(separators),
+        now = timestamp(options.date || new Date()),
+        interchangeControlNumber = fixed(options.interchangeControlNumber, 9, '0'),
+        groupControlNumber = String(parseInt(options.groupControlNumber, 10));
+
+    if (!documents.length) {
+        throw new Error('At least one claims document is required');
+    }
+    _.each(documents, requireClaimFields);
+    // the ISA segment is fixed width, so it is written without the segment writer's trimming
+    writer.segments.push(['ISA', '00', fixed('', 10), '00', fixed('', 10), options.senderQualifier,
+        fixed(options.senderId, 15), options.receiverQualifier, fixed(options.receiverId, 15), now.date.slice(2),
+        now.time, separators.repetition, '00501', interchangeControlNumber, '0', options.usageIndicator,
+        separators.component].join(separators.element));
+    writer.add('GS', ['HC', options.senderId, options.receiverId, now.date, now.time, groupControlNumber, 'X',
+        IMPLEMENTATION]);
+    _.each(documents, function (document, index) {
+        writeTransaction(writer, document, fixed(parseInt(options.transactionControlNumber, 10) + index, 4, '0'),
+            options, now);
+    });
+    writer.add('GE', [String(documents.length), groupControlNumber]);
+    writer.add('IEA', ['1', interchangeControlNumber]);
+    return writer.segments.join(separators.segment) + separators.segment;
+};
+
+// a private function to format an X12 date (CCYYMMDD) as a JSON date (YYYY-MM-DD)
+var jsonDate = function (value) {
+    return value.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+};
+
+// a private function to put the dot back into an ICD code. ICD-10 and most ICD-9 codes have three characters before
+// the dot, ICD-9 E codes have four.
+var dotted = function (code, icd10) {
+    var split = !icd10 && code.charAt(0) == 'E' ? 4 : 3;
+    return code.length > split ? code.slice(0, split) + '.' + code.slice(split) : code;
+};
+
+// a private function to read the name segment of a person or organization into a JSON object
+var readName = function (target, segment) {
+    if (segment.element(2) == '2') {
+        target.organization_name = segment.element(3);
+    } else {
+        target.last_name = segment.element(3);
+        if (segment.element(4)) {
+            target.first_name = segment.element(4);
+        }
+        if (segment.element(5)) {
+            target.middle_name = segment.element(5);
+        }
+        if (segment.element(7)) {
+            target.suffix = segment.element(7);
+        }
+    }
+    return target;
+};
+
+// a private function to read N3 and N4 segments into the address of a JSON object
+var readAddress = function (target, segment, shortZip) {
+    target.address = target.address || {};
+    if (segment.id == 'N3') {
+        target.address.address_lines = _.compact(segment.elements.slice(0, 2));
+    } else {
+        target.address.city = segment.element(1);
+        target.address.state = segment.element(2);
+        // toX12 pads 5 digit billing provider zip codes to 9 digits, which is undone here
+        target.address.zipcode = shortZip ? segment.element(3).replace(/^(\d{5})0000$/, '$1') : segment.element(3);
+    }
+};
+
+// a private function to read the demographic segment of a person into a JSON object
+var readDemographics = function (target, segment) {
+    if (segment.element(2)) {
+        target.birth_date = jsonDate(segment.element(2));
+    }
+    if (_.invert(genders)[segment.element(3)]) {
+        target.gender = _.invert(genders)[segment.element(3)];
+    }
+};
+
+// a private function to read the claims of a single 837 transaction set
+var readTransaction = function (transaction, result) {
+    var header = {},
+        provider = null,
+        subscriber = null,
+        patient = null,
+        claim = null,
+        line = null,
+        document = null,
+        diagnoses = [],
+        // the loop the current segment belongs to; segments of loops that aren't mapped are flagged as unmapped
+        loop = 'header',
+        unmapped = function (segment, reason) {
+            result.unmapped.push({
+                segment: segment.id,
+                position: segment.position,
+                value: segment.toString(),
+                claim: document ? result.claims.length - 1 : null,
+                reason: reason || 'The ' + segment.id + ' segment is not part of the claims document'
+            });
+        };
+
+    _.each(transaction.segments, function (segment) {
+        var id = segment.id,
+            qualifier = segment.element(1);
+
+        if (id == 'ST' || id == 'SE') {
+            return;
+        }
+        if (id == 'BHT') {
+            header.transaction_code = segment.element(6) == 'RP' ? 'reporting' : 'chargeable';
+            return;
+        }
+        if (id == 'HL') {
+            loop = {'20': 'billing', '22': 'subscriber', '23': 'patient'}[segment.element(3)] || 'other';
+            if (loop == 'billing') {
+                provider = {};
+            } else if (loop == 'subscriber') {
+                subscriber = {};
+                patient = null;
+            } else if (loop == 'patient') {
+                patient = {};
+            } else {
+                unmapped(segment);
+            }
+            return;
+        }
+        if (id == 'NM1') {
+            // name segments start a new loop inside the hierarchical level
+            loop = {
+                '41': 'submitter',
+                '40': 'receiver',
+                '85': 'billing',
+                'IL': 'subscriber',
+                'PR': 'payer',
+                'QC': 'patient'
+            }[qualifier] || 'other';
+            if (loop == 'billing') {
+                readName(provider, segment).npi = segment.element(9);
+            } else if (loop == 'subscriber') {
+                readName(subscriber, segment).member_id = segment.element(9);
+            } else if (loop == 'patient') {
+                readName(patient, segment);
+            } else if (loop == 'payer' || (loop == 'receiver' && !header.trading_partner_id)) {
+                header.trading_partner_id = segment.element(3);
+            } else if (loop != 'submitter' && loop != 'receiver') {
+                unmapped(segment);
+            }
+            return;
+        }
+        if (id == 'CLM') {
+            loop = 'claim';
+            line = null;
+            diagnoses = [];
+            claim = {
+                patient_control_number: segment.element(1),
+                total_charge_amount: Number(segment.element(2)),
+                service_lines: []
+            };
+            if (segment.component(5, 1) && segment.component(5, 1) != placesOfService.office) {
+                claim.place_of_service = _.invert(placesOfService)[segment.component(5, 1)] || segment.component(5, 1);
+            }
+            if (segment.component(5, 3) && segment.component(5, 3) != claimFrequencies.original) {
+                claim.claim_frequency = _.invert(claimFrequencies)[segment.component(5, 3)] || segment.component(5, 3);
+            }
+            if (subscriber && subscriber.claim_filing_code) {
+                claim.claim_filing_code = subscriber.claim_filing_code;
+            }
+            document = _.extend({}, header, {
+                billing_provider: _.cloneDeep(provider),
+                subscriber: _.omit(_.cloneDeep(subscriber), 'claim_filing_code'),
+                claim: claim
+            });
+            if (patient) {
+                document.patient = _.cloneDeep(patient);
+            }
+            result.claims.push(document);
+            return;
+        }
+        if (id == 'LX' && claim) {
+            loop = 'line';
+            line = {};
+            claim.service_lines.push(line);
+            return;
+        }
+
+        switch (loop + ':' + id) {
+            case 'submitter:PER':
+                return;
+            case 'billing:PRV':
+                provider.taxonomy_code = segment.element(3);
+                return;
+            case 'billing:N3':
+            case 'billing:N4':
+                return readAddress(provider, segment, true);
+            case 'billing:REF':
+                if (qualifier == 'EI') {
+                    provider.tax_id = segment.element(2);
+                    return;
+                }
+                break;
+            case 'subscriber:SBR':
+                if (_.invert(payerResponsibilities)[qualifier] && qualifier != payerResponsibilities.primary) {
+                    subscriber.payer_responsibility = _.invert(payerResponsibilities)[qualifier];
+                }
+                if (segment.element(3)) {
+                    subscriber.group_number = segment.element(3);
+                }
+                if (segment.element(9) && segment.element(9) != 'ZZ') {
+                    subscriber.claim_filing_code = segment.element(9);
+                }
+                return;
+            case 'subscriber:N3':
+            case 'subscriber:N4':
+                return readAddress(subscriber, segment);
+            case 'subscriber:DMG':
+                return readDemographics(subscriber, segment);
+            case 'patient:PAT':
+                patient.relationship = _.invert(relationships)[qualifier] || qualifier;
+                return;
+            case 'patient:N3':
+            case 'patient:N4':
+                return readAddress(patient, segment);
+            case 'patient:DMG':
+                return readDemographics(patient, segment);
+            case 'claim:HI':
+                _.each(segment.elements, function (element, index) {
+                    var codeQualifier = segment.component(index + 1, 1),
+                        code = segment.component(index + 1, 2);
+                    if (/^(ABK|ABF|BK|BF)$/.test(codeQualifier)) {
+                        diagnoses.push(dotted(code, codeQualifier.charAt(0) == 'A'));
+                    } else {
+                        unmapped(segment, 'Only principal and other diagnosis codes are mapped, not ' + codeQualifier);
+                    }
+                });
+                return;
+            case 'line:SV1':
+                var modifiers = segment.components(1).slice(2);
+                line.procedure_code = segment.component(1, 2);
+                if (modifiers.length) {
+                    line.procedure_modifier_codes = modifiers;
+                }
+                line.charge_amount = Number(segment.element(2));
+                line.unit_count = Number(segment.element(4) || 1);
+                line.diagnosis_codes = _.compact(_.map(segment.components(7), function (pointer) {
+                    return diagnoses[parseInt(pointer, 10) - 1];
+                }));
+                return;
+            case 'line:DTP':
+                if (qualifier == '472') {
+                    var range = segment.element(3).split('-');
+                    line.service_date = jsonDate(range[0]);
+                    if (range[1] && range[1] != range[0]) {
+                        line.service_end_date = jsonDate(range[1]);
+                    }
+                    return;
+                }
+                break;
+        }
+        unmapped(segment);
+    });
+};
+
+/**
+ * Read an X12 837 professional interchange into claims() JSON documents, one for each claim (CLM segment). This is
+ * the local counterpart of `pokitdok.claimsConvert(...)`; ICD codes are kept as they are rather than mapped to
+ * ICD-10. Values that match the defaults of `claim837.toX12` are left out of the documents. Segments that have no
+ * place in the claims document, like referring providers or claim notes, are listed in `unmapped`.
+ * @param {string|Buffer} content - the X12 content
+ * @returns {object} keys: `claims` (the claims documents), `unmapped` (segments that were not mapped, with the
+ * `segment` id, `position`, `value`, index of the `claim` they belong to and a `reason`) and `errors` (the envelope
+ * errors from `x12.parse`)
+ * @example
+ *  ```js
+ *  // submit every claim in an 837 file
+ *  var claim837 = require('pokitdok-nodejs').claim837;
+ *  var result = claim837.fromX12(fs.readFileSync('test_claim.837'));
+ *  result.unmapped.forEach(function (segment) {
+ *      console.log('not mapped: ' + segment.value + ' (' + segment.reason + ')');
+ *  });
+ *  result.claims.forEach(function (claim) {
+ *      pokitdok.claims(claim, function (err, res) {
+ *          console.log(err || res.data.id);
+ *      });
+ *  });
+ *  ```
+ */
+var fromX12 = function (content) {
+    var parsed = x12.parse(content),
+        result = {claims: [], unmapped: [], errors: parsed.errors};
+    _.each(x12.transactions(parsed), function (transaction) {
+        if (transaction.type != '837') {
+            return result.unmapped.push({
+                segment: 'ST',
+                position: transaction.header.position,
+                value: transaction.header.toString(),
+                claim: null,
+                reason: 'Transaction set ' + transaction.type + ' is not a claim'
+            });
+        }
+        readTransaction(transaction, result);
+    });
+    return result;
+};
+
+// expose the conversions
+exports.toX12 = toX12;
+exports.fromX12 = fromX12;
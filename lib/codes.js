@@ -0,0 +1,122 @@
+// Medical code utilities: detect the code system of a string, check its format and normalize it. Diagnosis codes are
+// ICD-10-CM or ICD-9-CM codes, which are written with or without their dot; procedure codes are CPT codes or HCPCS
+// Level II codes. Some strings fit more than one system, such as `J1100`, a HCPCS code as well as the undotted form of
+// the ICD-10 code J11.00, so callers that know what kind of code they have narrow the systems down. Private functions
+// should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var _ = require('lodash');
+
+/**
+ * The first day of service that is coded with ICD-10 rather than ICD-9.
+ * @type {string}
+ */
+var ICD10_CUTOVER = '2015-10-01';
+
+/**
+ * The code systems, in the order `codes.detect(...)` tries them: `cpt`, `hcpcs`, `icd10` and `icd9`.
+ * @type {Array}
+ */
+var SYSTEMS = ['cpt', 'hcpcs', 'icd10', 'icd9'];
+
+/**
+ * The diagnosis code systems, `icd10` and `icd9`.
+ * @type {Array}
+ */
+var DIAGNOSIS_SYSTEMS = ['icd10', 'icd9'];
+
+/**
+ * The procedure code systems, `cpt` and `hcpcs`.
+ * @type {Array}
+ */
+var PROCEDURE_SYSTEMS = ['cpt', 'hcpcs'];
+
+// the format of each system, and the length of the category that comes before the dot of ICD codes
+var formats = {
+    // category I codes are 5 digits, category II, III and PLA codes are 4 digits and an F, T or U
+    cpt: {pattern: /^\d{4}[0-9FTU]$/},
+    hcpcs: {pattern: /^[A-V]\d{4}$/},
+    // ICD-9 V codes, and E codes without their dot, fit this pattern as well
+    icd10: {pattern: /^[A-Z]\d[0-9A-Z](\.?[0-9A-Z]{1,4})?$/, category: _.constant(3)},
+    // E codes, for external causes, have a category of 4 characters
+    icd9: {
+        pattern: /^((\d{3}|V\d{2})(\.?\d{1,2})?|E\d{3}(\.?\d)?)$/,
+        category: function (code) {
+            return code.charAt(0) == 'E' ? 4 : 3;
+        }
+    }
+};
+
+// a private function to clean up a code for matching, without changing its dot
+var clean = function (code) {
+    return code === undefined || code === null ? '' : String(code).trim().toUpperCase();
+};
+
+/**
+ * Detect the code system of a code. Surrounding spaces and lower case letters are ignored.
+ * @param {string} code - the code, such as `99213`, `J10.1` or `4871`
+ * @param {Array} [systems] - the systems the code may belong to, in the order to try them, by default `codes.SYSTEMS`.
+ * Pass `codes.DIAGNOSIS_SYSTEMS` or `codes.PROCEDURE_SYSTEMS` when the kind of code is known.
+ * @returns {string|null} the system, one of `cpt`, `hcpcs`, `icd10` or `icd9`, or null when the code fits none of them
+ * @example
+ *  ```js
+ *  var codes = require('pokitdok-nodejs').codes;
+ *  codes.detect('99213 '); // 'cpt'
+ *  codes.detect('4871', codes.DIAGNOSIS_SYSTEMS); // 'icd9'
+ *  ```
+ */
+var detect = function (code, systems) {
+    var cleaned = clean(code);
+    return _.find(systems || SYSTEMS, function (system) {
+        return formats[system].pattern.test(cleaned);
+    }) || null;
+};
+
+/**
+ * Tell whether a code has the format of a code system. The code has to be exact: surrounding spaces or lower case
+ * letters make it invalid, use `codes.normalize(...)` to fix those.
+ * @param {string} code - the code
+ * @param {string} system - one of `cpt`, `hcpcs`, `icd10` or `icd9`
+ * @returns {boolean} true when the code has the format of the system
+ */
+var isValid = function (code, system) {
+    return typeof code == 'string' && !!formats[system] && formats[system].pattern.test(code);
+};
+
+/**
+ * Normalize a code: remove surrounding spaces, use upper case letters, and write ICD codes with the dot after their
+ * category, so `4871` becomes `487.1` and `j101` becomes `J10.1`.
+ * @param {string} code - the code
+ * @param {string|Array} [system] - the system of the code, or the systems to detect it from, see `codes.detect(...)`
+ * @returns {string|null} the normalized code, or null when the code fits none of the systems
+ * @example
+ *  ```js
+ *  var codes = require('pokitdok-nodejs').codes;
+ *  codes.normalize('4871', 'icd9'); // '487.1'
+ *  codes.normalize(' 99213 '); // '99213'
+ *  ```
+ */
+var normalize = function (code, system) {
+    var cleaned = clean(code),
+        format;
+    system = system instanceof Array || !system ? detect(cleaned, system) : system;
+    format = formats[system];
+    if (!format || !format.pattern.test(cleaned)) {
+        return null;
+    }
+    if (!format.category) {
+        return cleaned;
+    }
+    cleaned = cleaned.replace('.', '');
+    var split = format.category(cleaned);
+    return cleaned.length > split ? cleaned.slice(0, split) + '.' + cleaned.slice(split) : cleaned;
+};
+
+// expose the code utilities
+exports.ICD10_CUTOVER = ICD10_CUTOVER;
+exports.SYSTEMS = SYSTEMS;
+exports.DIAGNOSIS_SYSTEMS = DIAGNOSIS_SYSTEMS;
+exports.PROCEDURE_SYSTEMS = PROCEDURE_SYSTEMS;
+exports.detect = detect;
+exports.isValid = isValid;
+exports.normalize = normalize;
@@ -0,0 +1,246 @@
+// Error classes for failed API requests. Every endpoint method calls back with (or rejects with) one of these, so
+// callers can tell an expired credential from a validation problem or an unreachable platform without inspecting
+// response bodies. Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var util = require('util'),
+    _ = require('lodash');
+
+// a private function to flatten the platform's `data.errors` object into a list of field errors. The platform nests
+// errors the same way as the request, for example `{member: {first_name: ['This field is required.']}}`.
+var flattenFieldErrors = function (errors, prefix) {
+    if (typeof errors == 'string') {
+        return [{field: prefix || null, message: errors}];
+    }
+    if (errors instanceof Array) {
+        return _.flatten(_.map(errors, function (error) {
+            return flattenFieldErrors(error, prefix);
+        }));
+    }
+    return _.flatten(_.map(errors, function (value, key) {
+        return flattenFieldErrors(value, prefix ? prefix + '.' + key : key);
+    }));
+};
+
+// a private function to find a human readable message in an error body
+var describe = function (body) {
+    var errors = _.get(body, 'data.errors');
+    if (typeof errors == 'string') {
+        return errors;
+    }
+    if (errors instanceof Object) {
+        return _.map(flattenFieldErrors(errors), function (error) {
+            return error.field ? error.field + ': ' + error.message : error.message;
+        }).join('; ');
+    }
+    if (body instanceof Object) {
+        return body.error_description || body.error || body.message || null;
+    }
+    return body ? String(body) : null;
+};
+
+/**
+ * The base class of every error of a failed API request. Errors that were answered by the platform carry the
+ * status code, the parsed response body and the response itself.
+ * @name PokitDokError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - keys: `statusCode`, `path`, `body`, `response`
+ * @constructor
+ * @example
+ *  ```js
+ *  // tell the different failures apart
+ *  var errors = require('pokitdok-nodejs').errors;
+ *  pokitdok.eligibility(query, function (err, res) {
+ *      if (err instanceof errors.ValidationError) {
+ *          return err.fieldErrors.forEach(function (error) {
+ *              console.log(error.field + ': ' + error.message);
+ *          });
+ *      }
+ *      if (err) {
+ *          return console.log(err.name + ' for ' + err.path + ': ' + err.message, err.statusCode);
+ *      }
+ *      console.log(res.data);
+ *  });
+ *  ```
+ */
+function PokitDokError(message, details) {
+    details = details || {};
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+    this.name = this.constructor.name;
+    this.message = message;
+    this.statusCode = details.statusCode || null;
+    this.path = details.path || null;
+    this.body = details.body;
+    this.response = details.response;
+}
+util.inherits(PokitDokError, Error);
+
+/**
+ * The client credentials or access token were rejected, either by the token endpoint or by the API (401 or 403).
+ * @name AuthenticationError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - see `PokitDokError`
+ * @constructor
+ */
+function AuthenticationError(message, details) {
+    PokitDokError.call(this, message, details);
+}
+util.inherits(AuthenticationError, PokitDokError);
+
+/**
+ * The request was rejected as invalid (400 or 422). The field errors from the platform's `data.errors` are listed in
+ * `fieldErrors`, each with the dotted path of the `field` and a `message`.
+ * @name ValidationError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - see `PokitDokError`, and `fieldErrors`
+ * @constructor
+ */
+function ValidationError(message, details) {
+    PokitDokError.call(this, message, details);
+    this.fieldErrors = (details && details.fieldErrors) || [];
+}
+util.inherits(ValidationError, PokitDokError);
+
+/**
+ * The rate limit of the app was exceeded (429). `retryAfter` holds the seconds from the `Retry-After` header, if any,
+ * whether it was sent as seconds or as a date.
+ * @name RateLimitError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - see `PokitDokError`, and `retryAfter`
+ * @constructor
+ */
+function RateLimitError(message, details) {
+    PokitDokError.call(this, message, details);
+    this.retryAfter = details && details.retryAfter !== undefined ? details.retryAfter : null;
+}
+util.inherits(RateLimitError, PokitDokError);
+
+/**
+ * The platform failed to handle the request (5xx). `retryAfter` holds the seconds from the `Retry-After` header of a
+ * 503, if any.
+ * @name ServerError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - see `PokitDokError`, and `retryAfter`
+ * @constructor
+ */
+function ServerError(message, details) {
+    PokitDokError.call(this, message, details);
+    this.retryAfter = details && details.retryAfter !== undefined ? details.retryAfter : null;
+}
+util.inherits(ServerError, PokitDokError);
+
+/**
+ * The platform could not be reached, or the connection failed before a response was received. The original error is
+ * kept as `cause` and its code, such as `ECONNREFUSED`, as `code`.
+ * @name NetworkError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - see `PokitDokError`, and `cause`
+ * @constructor
+ */
+function NetworkError(message, details) {
+    PokitDokError.call(this, message, details);
+    this.cause = details && details.cause;
+    this.code = this.cause && this.cause.code;
+}
+util.inherits(NetworkError, PokitDokError);
+
+/**
+ * Waiting for something on the platform, such as an activity to finish, took longer than the caller allowed. The last
+ * state seen is kept as `activity`.
+ * @name TimeoutError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - see `PokitDokError`, and `activity`
+ * @constructor
+ */
+function TimeoutError(message, details) {
+    PokitDokError.call(this, message, details);
+    this.activity = details && details.activity;
+}
+util.inherits(TimeoutError, PokitDokError);
+
+/**
+ * The caller stopped waiting for something on the platform, such as an activity to finish, with an abort signal. The
+ * last state seen is kept as `activity`.
+ * @name AbortError
+ * @param {string} message - a description of the failure
+ * @param {object} [details] - see `PokitDokError`, and `activity`
+ * @constructor
+ */
+function AbortError(message, details) {
+    PokitDokError.call(this, message, details);
+    this.activity = details && details.activity;
+}
+util.inherits(AbortError, PokitDokError);
+
+// a private function to read the `Retry-After` header of a response as seconds. The header holds either the seconds
+// or an HTTP date; a date that has passed means right away.
+var retryAfterSeconds = function (res) {
+    var header = res.headers && res.headers['retry-after'],
+        date;
+    if (typeof header != 'string' || !header.trim()) {
+        return null;
+    }
+    if (/^\s*\d+\s*$/.test(header)) {
+        return parseInt(header, 10);
+    }
+    date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+/**
+ * Create the error for a response that was not successful, based on its status code.
+ * @param {object} res - the response
+ * @param {*} body - the parsed response body
+ * @param {string} requestPath - the path of the request, such as `/eligibility/`
+ * @returns {PokitDokError}
+ */
+var fromResponse = function (res, body, requestPath) {
+    var statusCode = res.statusCode,
+        details = {statusCode: statusCode, path: requestPath, body: body, response: res},
+        message = describe(body) || 'The request failed with status ' + statusCode;
+    if (statusCode == 401 || statusCode == 403) {
+        return new AuthenticationError(message, details);
+    }
+    if (statusCode == 400 || statusCode == 422) {
+        details.fieldErrors = flattenFieldErrors(_.get(body, 'data.errors') || []);
+        return new ValidationError(message, details);
+    }
+    if (statusCode == 429 || statusCode == 503) {
+        details.retryAfter = retryAfterSeconds(res);
+    }
+    if (statusCode == 429) {
+        return new RateLimitError(message, details);
+    }
+    if (statusCode >= 500) {
+        return new ServerError(message, details);
+    }
+    return new PokitDokError(message, details);
+};
+
+/**
+ * Create the error for a request that did not get a response.
+ * @param {Error} err - the error of the request
+ * @param {string} requestPath - the path of the request, such as `/eligibility/`
+ * @returns {NetworkError}
+ */
+var fromNetworkError = function (err, requestPath) {
+    return new NetworkError('The request to ' + requestPath + ' failed: ' + err.message, {
+        path: requestPath,
+        cause: err
+    });
+};
+
+// expose the errors
+exports.PokitDokError = PokitDokError;
+exports.AuthenticationError = AuthenticationError;
+exports.ValidationError = ValidationError;
+exports.RateLimitError = RateLimitError;
+exports.ServerError = ServerError;
+exports.NetworkError = NetworkError;
+exports.TimeoutError = TimeoutError;
+exports.AbortError = AbortError;
+exports.fromResponse = fromResponse;
+exports.fromNetworkError = fromNetworkError;
@@ -0,0 +1,103 @@
+// Checks of the identifiers that appear throughout request documents: provider NPIs, tax ids, zip codes, phone numbers,
+// state codes and member ids. They are registered as formats of `PokitDok.validate`, so the request schemas can use
+// them, and can be used on their own. Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var _ = require('lodash');
+
+// NPIs are ISO 7812 card numbers of the US health industry, so their check digit covers this prefix too
+var NPI_PREFIX = '80840',
+    // the codes of the states, the District of Columbia, the territories and the armed forces postal regions
+    STATES = ['AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+        'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+        'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'AS', 'FM',
+        'GU', 'MH', 'MP', 'PR', 'PW', 'VI', 'AA', 'AE', 'AP'],
+    // the first two digits of an EIN name the IRS campus that issued it, and these were never assigned
+    UNASSIGNED_EIN_PREFIXES = ['00', '07', '08', '09', '17', '18', '19', '28', '29', '49', '69', '70', '78', '79', '89',
+        '96', '97'];
+
+// a private function to tell whether the digits of a number have a valid Luhn check digit at the end
+var luhn = function (digits) {
+    var sum = _.sum(digits.split('').reverse(), function (digit, index) {
+        var value = +digit * (index % 2 ? 2 : 1);
+        return value > 9 ? value - 9 : value;
+    });
+    return sum % 10 === 0;
+};
+
+/**
+ * Tell whether a value is a National Provider Identifier: 10 digits, the last of which is the Luhn check digit of the
+ * others with the `80840` prefix of the US health industry.
+ * @param {string|number} value - the value to check
+ * @returns {boolean} true for a valid NPI
+ * @example
+ *  ```js
+ *  var identifiers = require('pokitdok-nodejs').identifiers;
+ *  identifiers.isNpi('1467560003'); // true
+ *  identifiers.isNpi('1467560004'); // false, the check digit is wrong
+ *  ```
+ */
+var isNpi = function (value) {
+    return /^\d{10}$/.test(value) && luhn(NPI_PREFIX + value);
+};
+
+/**
+ * Tell whether a value is a tax id: 9 digits, written as an EIN (`12-3456789`), an SSN (`123-45-6789`) or without
+ * dashes. EINs with a prefix the IRS never assigned are rejected.
+ * @param {string|number} value - the value to check
+ * @returns {boolean} true for a valid tax id
+ */
+var isTaxId = function (value) {
+    var text = String(value);
+    if (!/^(\d{9}|\d{2}-\d{7}|\d{3}-\d{2}-\d{4})$/.test(text) || /^0+$/.test(text.replace(/-/g, ''))) {
+        return false;
+    }
+    return !/^\d{2}-/.test(text) || !_.includes(UNASSIGNED_EIN_PREFIXES, text.slice(0, 2));
+};
+
+/**
+ * Tell whether a value is a 5 digit zip code or a ZIP+4 code, with or without the dash.
+ * @param {string|number} value - the value to check
+ * @returns {boolean} true for a valid zip code
+ */
+var isZip = function (value) {
+    return /^\d{5}(-?\d{4})?$/.test(value);
+};
+
+/**
+ * Tell whether a value is a North American phone number of 10 digits, optionally with the `1` or `+1` country code
+ * and the usual spaces, dots, dashes and parentheses. Area codes and exchanges can't start with a 0 or 1.
+ * @param {string|number} value - the value to check
+ * @returns {boolean} true for a valid phone number
+ */
+var isPhone = function (value) {
+    return /^(\+?1[\s.-]?)?(\([2-9]\d{2}\)|[2-9]\d{2})[\s.-]?[2-9]\d{2}[\s.-]?\d{4}$/.test(value);
+};
+
+/**
+ * Tell whether a value is the two letter postal code of a US state, the District of Columbia, a territory or an armed
+ * forces region, in upper or lower case.
+ * @param {string} value - the value to check
+ * @returns {boolean} true for a valid state code
+ */
+var isState = function (value) {
+    return _.includes(STATES, String(value).toUpperCase());
+};
+
+/**
+ * Tell whether a value can be a member id. Payers each have a format of their own, so this only checks what an X12
+ * identifier can hold: 2 to 80 letters, digits and dashes.
+ * @param {string|number} value - the value to check
+ * @returns {boolean} true for a possible member id
+ */
+var isMemberId = function (value) {
+    return /^[A-Za-z0-9-]{2,80}$/.test(value);
+};
+
+// expose the identifier checks
+exports.isNpi = isNpi;
+exports.isTaxId = isTaxId;
+exports.isZip = isZip;
+exports.isPhone = isPhone;
+exports.isState = isState;
+exports.isMemberId = isMemberId;
@@ -0,0 +1,132 @@
+// A JSON file that is written safely from many callers at once, such as a token store, the watched set of an activity
+// watcher or the checkpoint of a batch. Every write goes to a temporary file that is then moved over the file, so a
+// crash never leaves half a file behind, and writes never overlap, so an older value can't replace a newer one.
+// Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var fs = require('fs'),
+    _ = require('lodash');
+
+// a private constructor for the file at a path. Options: `mode`, the file mode of new files.
+function JsonFile(path, options) {
+    this.path = path;
+    this.mode = (options || {}).mode;
+    this.writing = false;
+    this.next = null;
+    this.callbacks = [];
+    this.idle = [];
+    this.updating = false;
+    this.updates = [];
+}
+
+// read the value in the file, null when the file does not exist
+JsonFile.prototype.read = function (callback) {
+    fs.readFile(this.path, 'utf8', function (err, content) {
+        var value = null;
+        if (err) {
+            return callback(err.code == 'ENOENT' ? null : err, null);
+        }
+        try {
+            value = JSON.parse(content);
+        } catch (parseError) {
+            return callback(parseError, null);
+        }
+        callback(null, value);
+    });
+};
+
+// write a value to the file. The value is serialized right away; when a write is in flight, only the last value
+// written meanwhile is written after it, and the callbacks of all of them are called once it is.
+JsonFile.prototype.write = function (value, callback) {
+    this.next = JSON.stringify(value);
+    this.callbacks.push(callback || _.noop);
+    if (!this.writing) {
+        this.flush();
+    }
+};
+
+// write the latest value to a temporary file and move it over the file
+JsonFile.prototype.flush = function () {
+    var self = this,
+        temporaryPath = self.path + '.' + process.pid + '.' + Date.now(),
+        callbacks = self.callbacks,
+        content = self.next,
+        done = function (err) {
+            self.writing = false;
+            if (self.next !== null) {
+                self.flush();
+            }
+            _.each(callbacks, function (written) {
+                written(err || null);
+            });
+            // a callback may have written again, and removals wait for that write too
+            if (!self.writing) {
+                _.each(self.idle.splice(0), function (resume) {
+                    resume();
+                });
+            }
+        };
+    self.writing = true;
+    self.next = null;
+    self.callbacks = [];
+    fs.writeFile(temporaryPath, content, self.mode ? {mode: self.mode} : {}, function (err) {
+        if (err) {
+            return done(err);
+        }
+        fs.rename(temporaryPath, self.path, done);
+    });
+};
+
+// change the value in the file: `change` gets the value in it, null when there is none or it can't be parsed, and
+// returns the value to write. Updates run one at a time, each after the writes before it, so none of them changes a
+// value another one is about to replace.
+JsonFile.prototype.update = function (change, callback) {
+    this.updates.push({change: change, callback: callback || _.noop});
+    if (!this.updating) {
+        this.nextUpdate();
+    }
+};
+
+// read, change and write the value for the next update in line
+JsonFile.prototype.nextUpdate = function () {
+    var self = this,
+        update = self.updates.shift();
+    self.updating = !!update;
+    if (!update) {
+        return;
+    }
+    self.whenIdle(function () {
+        self.read(function (err, value) {
+            if (err && !(err instanceof SyntaxError)) {
+                update.callback(err);
+                return self.nextUpdate();
+            }
+            self.write(update.change(err ? null : value), function (err) {
+                update.callback(err);
+                self.nextUpdate();
+            });
+        });
+    });
+};
+
+// call back once no write is in flight
+JsonFile.prototype.whenIdle = function (callback) {
+    if (!this.writing) {
+        return callback();
+    }
+    this.idle.push(callback);
+};
+
+// remove the file, once the writes in flight are done. A missing file is not an error.
+JsonFile.prototype.remove = function (callback) {
+    var self = this;
+    callback = callback || _.noop;
+    self.whenIdle(function () {
+        fs.unlink(self.path, function (err) {
+            callback(err && err.code != 'ENOENT' ? err : null);
+        });
+    });
+};
+
+// expose the file
+module.exports = JsonFile;
@@ -0,0 +1,132 @@
+// Pagination of list endpoints. A page iterator fetches one page of a list at a time and hands out its items one by
+// one, following the paging metadata of the platform: the `next` link of a page, or its `result_count`. Lists without
+// paging metadata are a single page. Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var stream = require('stream'),
+    url = require('url'),
+    util = require('util'),
+    _ = require('lodash');
+
+/**
+ * Iterate over the items of a paged list, such as the providers that match a search. Every call of `next()` returns
+ * a promise for the next item, as `{value: item, done: false}`, or for `{done: true}` at the end of the list. Pages
+ * are fetched as the items are needed, one request at a time. Iterators are async iterables, so they work with
+ * `for await`. Get one from `pokitdok.iterate(...)`.
+ * @name PageIterator
+ * @param {function} fetchPage - called with the query of a page and a node style callback for the response body
+ * @param {object} [query] - the query of the first page
+ * @param {object} [options] - keys: `pageSize`, the number of items to ask for per page, and `maxItems`, the number
+ * of items to stop after. By default pages have the size the platform gives them and the whole list is iterated.
+ * @constructor
+ */
+function PageIterator(fetchPage, query, options) {
+    options = options || {};
+    this.fetchPage = fetchPage;
+    this.query = _.extend({}, query);
+    if (options.pageSize) {
+        this.query.limit = options.pageSize;
+    }
+    this.maxItems = options.maxItems || Infinity;
+    this.items = [];
+    this.count = 0;
+    this.offset = +this.query.offset || 0;
+    this.lastPage = false;
+    this.pending = Promise.resolve();
+}
+
+if (typeof Symbol != 'undefined' && Symbol.asyncIterator) {
+    PageIterator.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
+
+/**
+ * Get the next item of the list.
+ * @returns {Promise} resolves with `{value: item, done: false}`, or `{value: undefined, done: true}` once the list or
+ * `maxItems` is exhausted. A failed page request rejects; calling `next()` again requests the page again.
+ */
+PageIterator.prototype.next = function () {
+    var self = this;
+    // calls that overlap wait for each other, so every page is only fetched once
+    self.pending = self.pending.then(function () {
+        return self.step();
+    }, function () {
+        return self.step();
+    });
+    return self.pending;
+};
+
+/**
+ * Stop iterating, such as when a `for await` loop breaks. Later calls of `next()` resolve as done.
+ * @returns {Promise} resolves with `{value: undefined, done: true}`
+ */
+PageIterator.prototype.return = function () {
+    this.maxItems = this.count;
+    this.items = [];
+    return Promise.resolve({value: undefined, done: true});
+};
+
+// hand out the next item, fetching the next page first when the current one is used up
+PageIterator.prototype.step = function () {
+    var self = this;
+    if (self.count >= self.maxItems || (!self.items.length && self.lastPage)) {
+        return {value: undefined, done: true};
+    }
+    if (self.items.length) {
+        self.count++;
+        return {value: self.items.shift(), done: false};
+    }
+    return new Promise(function (resolve, reject) {
+        self.fetchPage(_.clone(self.query), function (err, body) {
+            if (err) {
+                return reject(err);
+            }
+            self.receive(body || {});
+            resolve(self.step());
+        });
+    });
+};
+
+// take the items of a page and work out the query of the next page from its paging metadata
+PageIterator.prototype.receive = function (body) {
+    var meta = body.meta || {},
+        data = body.data instanceof Array ? body.data : (body.data ? [body.data] : []);
+    this.items = data;
+    this.offset += data.length;
+    if (meta.next && data.length) {
+        this.query = _.extend(this.query, url.parse(String(meta.next), true).query);
+    } else if (meta.result_count > this.offset && data.length) {
+        this.query.offset = this.offset;
+    } else {
+        this.lastPage = true;
+    }
+};
+
+/**
+ * A readable stream in object mode of the items of a paged list. The stream asks for the next page once its buffer
+ * runs low, so a slow consumer holds back the requests. Page request failures are emitted as `error` events. Get one
+ * from `pokitdok.stream(...)`.
+ * @name PageStream
+ * @param {PageIterator} iterator - the iterator to read the items from
+ * @constructor
+ */
+function PageStream(iterator) {
+    stream.Readable.call(this, {objectMode: true});
+    this.iterator = iterator;
+}
+util.inherits(PageStream, stream.Readable);
+
+// read the next item into the stream
+PageStream.prototype._read = function () {
+    var self = this;
+    self.iterator.next().then(function (result) {
+        self.push(result.done ? null : result.value);
+    }, function (err) {
+        self.emit('error', err);
+    });
+};
+
+// expose the iterator and the stream
+exports.PageIterator = PageIterator;
+exports.PageStream = PageStream;
@@ -0,0 +1,165 @@
+// Consistency checks of a claims() document that go beyond its schema: totals that don't add up, service dates that
+// can't be right, a billing provider the payer can't identify and diagnosis codes the service lines can't point at.
+// These are the most common reasons payers reject a claim, so they are worth catching before it is submitted.
+// Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var validate = require('./validate'),
+    codes = require('./codes'),
+    _ = require('lodash');
+
+// an 837P service line points at no more than 4 diagnosis codes, and a claim holds no more than 12
+var MAX_LINE_DIAGNOSES = 4,
+    MAX_CLAIM_DIAGNOSES = 12;
+
+// a private function to format a day as YYYY-MM-DD, in local time as that is the day of the person checking a claim
+var formatDay = function (day) {
+    return [day.getFullYear(), _.padLeft(day.getMonth() + 1, 2, '0'), _.padLeft(day.getDate(), 2, '0')].join('-');
+};
+
+// a private function to add a number of days to a YYYY-MM-DD date
+var addDays = function (date, days) {
+    var day = new Date(date + 'T00:00:00Z');
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+};
+
+// a private function to compare amounts in cents, so 0.1 + 0.2 is 0.3
+var cents = function (amount) {
+    return Math.round(amount * 100);
+};
+
+// a private function to check the dates of a service line
+var checkDates = function (line, path, birthDate, options, report) {
+    var dates = _.filter(['service_date', 'service_end_date'], function (key) {
+        if (line[key] === undefined || line[key] === null) {
+            return false;
+        }
+        if (!validate.formats.date.test(line[key])) {
+            report('error', path + '.' + key, 'invalid_date', validate.formats.date.message);
+            return false;
+        }
+        return true;
+    });
+    _.each(dates, function (key) {
+        if (line[key] > options.today) {
+            report('error', path + '.' + key, 'future_date', 'Must not be in the future.');
+        } else if (birthDate && line[key] < birthDate) {
+            report('error', path + '.' + key, 'before_birth', 'Must not be before the birth date of the patient.');
+        }
+    });
+    if (dates.length == 2 && line.service_end_date < line.service_date) {
+        report('error', path + '.service_end_date', 'date_order', 'Must not be before the service date.');
+    }
+    if (_.includes(dates, 'service_date') && line.service_date < addDays(options.today, -options.timelyFilingDays)) {
+        report('warning', path + '.service_date', 'timely_filing', 'Is more than ' + options.timelyFilingDays +
+            ' days ago, past the timely filing limit of many payers.');
+    }
+};
+
+// a private function to check the diagnosis codes of a service line, and collect them for the claim wide limit.
+// ICD-9 V and E codes, like V70.0, fit ICD-10 as well: the service date tells which system to try first, and from the
+// cutover on such codes are reported, since they may well be ICD-9 codes.
+var checkDiagnoses = function (line, path, claimDiagnoses, report) {
+    var lineCodes = line.diagnosis_codes instanceof Array ? line.diagnosis_codes : [],
+        afterCutover = line.service_date >= codes.ICD10_CUTOVER,
+        systems = line.service_date < codes.ICD10_CUTOVER ? ['icd9', 'icd10'] : codes.DIAGNOSIS_SYSTEMS,
+        seen = [];
+    if (!lineCodes.length) {
+        report('error', path + '.diagnosis_codes', 'missing_diagnosis', 'Must point at a diagnosis code.');
+    }
+    _.each(lineCodes, function (code, index) {
+        var system = codes.detect(code, systems),
+            normalized = system && codes.normalize(code, system);
+        if (!system) {
+            report('error', path + '.diagnosis_codes[' + index + ']', 'invalid_diagnosis',
+                'Must be an ICD-10 or ICD-9 diagnosis code.');
+            return;
+        }
+        if (system == 'icd9' && afterCutover) {
+            report('error', path + '.diagnosis_codes[' + index + ']', 'icd9_after_cutover', 'Must be an ICD-10 ' +
+                'code, services from ' + codes.ICD10_CUTOVER + ' on are coded with ICD-10.');
+        } else if (afterCutover && /^[VE]/.test(normalized) && codes.detect(code, ['icd9'])) {
+            report('error', path + '.diagnosis_codes[' + index + ']', 'icd9_after_cutover', 'Must be an ICD-10 ' +
+                'code, services from ' + codes.ICD10_CUTOVER + ' on are coded with ICD-10, and this one reads as ' +
+                'an ICD-9 code too.');
+        }
+        if (_.includes(seen, normalized)) {
+            report('warning', path + '.diagnosis_codes[' + index + ']', 'duplicate_diagnosis',
+                'Repeats a diagnosis code of the same service line.');
+            return;
+        }
+        seen.push(normalized);
+        if (!_.includes(claimDiagnoses, normalized)) {
+            claimDiagnoses.push(normalized);
+        }
+    });
+    if (seen.length > MAX_LINE_DIAGNOSES) {
+        report('error', path + '.diagnosis_codes', 'too_many_pointers', 'Must have at most ' + MAX_LINE_DIAGNOSES +
+            ' diagnosis codes, a service line can\'t point at more.');
+    }
+};
+
+/**
+ * Check a claims document for the problems payers most often reject a claim for: a `total_charge_amount` that isn't
+ * the sum of the service line charges, service dates that are invalid, in the future, before the birth of the patient
+ * or past the timely filing limit, a billing provider without an NPI or tax id, and diagnosis codes that are missing,
+ * malformed, ICD-9 codes for services after the ICD-10 cutover, or more than an 837P service line or claim can point
+ * at. Connections created with `checkClaims: true` run the check before every `pokitdok.claims(...)` request.
+ * @param {object} document - the claims document, as passed to `pokitdok.claims(...)`
+ * @param {object} [options] - keys: `today`, the date to check service dates against formatted as YYYY-MM-DD, by
+ * default the current local date, and `timelyFilingDays`, the age in days of a service date that gets a warning (365)
+ * @returns {object} keys: `errors`, the problems that get the claim rejected, and `warnings`, the ones that may. Each
+ * problem has the JSON path of the `field`, a `code` such as `total_mismatch` and a `message`.
+ * @example
+ *  ```js
+ *  // check a claim before it goes into the submission queue
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var result = PokitDok.checkClaim(claimDocument);
+ *  result.errors.concat(result.warnings).forEach(function (problem) {
+ *      console.log(problem.code + ' ' + problem.field + ': ' + problem.message);
+ *  });
+ *  ```
+ */
+var checkClaim = function (document, options) {
+    options = _.defaults({}, options, {today: formatDay(new Date()), timelyFilingDays: 365});
+    var result = {errors: [], warnings: []},
+        report = function (severity, field, code, message) {
+            result[severity == 'error' ? 'errors' : 'warnings'].push({field: field, code: code, message: message});
+        },
+        provider = (document && document.billing_provider) || {},
+        claim = (document && document.claim) || {},
+        lines = claim.service_lines instanceof Array ? claim.service_lines : [],
+        person = (document && (document.patient || document.subscriber)) || {},
+        birthDate = validate.formats.date.test(person.birth_date) ? person.birth_date : null,
+        claimDiagnoses = [];
+
+    _.each(['npi', 'tax_id'], function (key) {
+        if (!provider[key]) {
+            report('error', 'billing_provider.' + key, 'missing_' + key, 'The billing provider must have ' +
+                (key == 'npi' ? 'an NPI.' : 'a tax id.'));
+        }
+    });
+    _.each(lines, function (line, index) {
+        var path = 'claim.service_lines[' + index + ']';
+        line = line || {};
+        checkDates(line, path, birthDate, options, report);
+        checkDiagnoses(line, path, claimDiagnoses, report);
+    });
+    if (claimDiagnoses.length > MAX_CLAIM_DIAGNOSES) {
+        report('error', 'claim.service_lines', 'too_many_diagnoses', 'Must have at most ' + MAX_CLAIM_DIAGNOSES +
+            ' different diagnosis codes, a claim can\'t hold more.');
+    }
+    var charges = _.pluck(lines, 'charge_amount');
+    if (typeof claim.total_charge_amount == 'number' && lines.length && _.every(charges, _.isNumber)) {
+        var total = _.sum(charges, cents);
+        if (cents(claim.total_charge_amount) != total) {
+            report('error', 'claim.total_charge_amount', 'total_mismatch', 'Must be the sum of the service line ' +
+                'charges, ' + (total / 100).toFixed(2) + '.');
+        }
+    }
+    return result;
+};
+
+// expose the claim check
+module.exports = checkClaim;
@@ -0,0 +1,71 @@
+// Redaction of protected health information (PHI) in request and response payloads, so they can be logged. Values of
+// known PHI fields are masked wherever they appear in a payload, however deeply nested. Private functions should not
+// use JSDoc syntax, see index.js.
+
+// module globals and imports
+var _ = require('lodash');
+
+// the value that replaces a redacted field
+var MASK = '[REDACTED]';
+
+/**
+ * The fields that are redacted by default. The `id` of a member, patient, subscriber or dependent is redacted too,
+ * since it is their member id.
+ * @type {Array}
+ */
+var PHI_FIELDS = [
+    'first_name',
+    'middle_name',
+    'last_name',
+    'birth_date',
+    'member_id',
+    'ssn',
+    'address',
+    'phone',
+    'email'
+];
+
+// the objects whose `id` identifies a person
+var PERSON_FIELDS = ['member', 'patient', 'subscriber', 'dependent', 'dependents'];
+
+// a private function to redact a value, knowing whether it belongs to a person object
+var redactValue = function (value, fields, person) {
+    if (value instanceof Array) {
+        return _.map(value, function (item) {
+            return redactValue(item, fields, person);
+        });
+    }
+    if (!_.isPlainObject(value)) {
+        return value;
+    }
+    return _.mapValues(value, function (item, key) {
+        if (_.includes(fields, key) || (person && key == 'id')) {
+            return item === null || item === undefined ? item : MASK;
+        }
+        return redactValue(item, fields, _.includes(PERSON_FIELDS, key));
+    });
+};
+
+/**
+ * Copy a payload with the values of PHI fields masked. Objects and lists are copied, so the payload itself is left as
+ * it is.
+ * @param {*} value - the payload, such as the options of `pokitdok.eligibility(...)` or a response body
+ * @param {Array} [fields] - the names of the fields to redact, defaults to `redact.PHI_FIELDS`
+ * @returns {*} the redacted copy
+ * @example
+ *  ```js
+ *  // log an eligibility request without the member's details
+ *  var redact = require('pokitdok-nodejs').redact;
+ *  console.log(redact(eligibilityRequest));
+ *  // { member: { birth_date: '[REDACTED]', first_name: '[REDACTED]', last_name: '[REDACTED]', id: '[REDACTED]' },
+ *  //   trading_partner_id: 'MOCKPAYER' }
+ *  ```
+ */
+var redact = function (value, fields) {
+    return redactValue(value, fields || PHI_FIELDS, false);
+};
+
+// expose the redaction
+module.exports = redact;
+module.exports.PHI_FIELDS = PHI_FIELDS;
+module.exports.MASK = MASK;
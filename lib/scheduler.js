@@ -0,0 +1,179 @@
+// A request scheduler that limits the number of requests in flight and the number of requests started per second,
+// for all requests of a connection and for the requests to particular endpoint paths. Requests over a limit wait in a
+// queue, first in first out. Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var _ = require('lodash');
+
+// the window of the per second limits, in milliseconds
+var WINDOW = 1000;
+
+// a private function to create the bookkeeping of a set of limits
+var bucket = function (limits) {
+    return {
+        maxConcurrent: limits.maxConcurrent || Infinity,
+        maxPerSecond: limits.maxPerSecond || Infinity,
+        active: 0,
+        queued: 0,
+        starts: []
+    };
+};
+
+// a private function to tell how many milliseconds a bucket has to wait before it can start another task, 0 if it can
+// start one right away and Infinity if it has to wait for a task to finish
+var wait = function (limits, now) {
+    while (limits.starts.length && limits.starts[0] <= now - WINDOW) {
+        limits.starts.shift();
+    }
+    if (limits.active >= limits.maxConcurrent) {
+        return Infinity;
+    }
+    if (limits.starts.length >= limits.maxPerSecond) {
+        return limits.starts[0] + WINDOW - now;
+    }
+    return 0;
+};
+
+/**
+ * Limit the requests of one or more connections. Hand a scheduler, or the options to create one, to a connection with
+ * the `limits` option. Limits for endpoint paths apply to every request whose path starts with the configured path,
+ * on top of the overall limits; the longest matching path wins.
+ * @name Scheduler
+ * @param {object} [options] - keys: `maxConcurrent`, `maxPerSecond`, `paths`. The paths map an endpoint path, such as
+ * `/eligibility/`, to its own `maxConcurrent` and `maxPerSecond`. Limits that are left out are unlimited.
+ * @constructor
+ * @example
+ *  ```js
+ *  // send at most 10 requests at a time, and at most 2 eligibility requests a second
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var pokitdok = new PokitDok(clientId, clientSecret, {
+ *      limits: {
+ *          maxConcurrent: 10,
+ *          paths: {
+ *              '/eligibility/': {maxPerSecond: 2}
+ *          }
+ *      }
+ *  });
+ *  ```
+ * @example
+ *  ```js
+ *  // share one set of limits between connections
+ *  var scheduler = new PokitDok.Scheduler({maxPerSecond: 20});
+ *  var eligibilityConnection = new PokitDok(clientId, clientSecret, {limits: scheduler});
+ *  var claimsConnection = new PokitDok(clientId, clientSecret, {limits: scheduler});
+ *  ```
+ */
+function Scheduler(options) {
+    options = options || {};
+    this.limits = bucket(options);
+    this.paths = _.mapValues(options.paths || {}, bucket);
+    this.queue = [];
+    this.timer = null;
+}
+
+// find the path limits of an endpoint path, if any
+Scheduler.prototype.pathLimits = function (requestPath) {
+    var matches = _.filter(_.keys(this.paths), function (prefix) {
+        return String(requestPath).indexOf(prefix) === 0;
+    });
+    return matches.length ? this.paths[_.max(matches, 'length')] : null;
+};
+
+/**
+ * Run a task once the limits allow it. The task is called with a function it must call once it is done, which frees
+ * its place for the next task in the queue.
+ * @param {string} requestPath - the endpoint path of the request, such as `/eligibility/`
+ * @param {function} task - called with a `done` function
+ */
+Scheduler.prototype.schedule = function (requestPath, task) {
+    var pathLimits = this.pathLimits(requestPath);
+    this.queue.push({task: task, path: pathLimits});
+    this.limits.queued++;
+    if (pathLimits) {
+        pathLimits.queued++;
+    }
+    this.drain();
+};
+
+// start every queued task the limits allow, in order, and come back when the next per second window opens
+Scheduler.prototype.drain = function () {
+    var self = this,
+        now = Date.now(),
+        nextCheck = Infinity,
+        blocked = [],
+        ready = [];
+    if (self.timer) {
+        clearTimeout(self.timer);
+        self.timer = null;
+    }
+    self.queue = _.filter(self.queue, function (item) {
+        // a task never overtakes an earlier task that waits for the same limits
+        if (_.includes(blocked, item.path)) {
+            return true;
+        }
+        var delay = Math.max(wait(self.limits, now), item.path ? wait(item.path, now) : 0);
+        if (delay) {
+            blocked.push(item.path);
+            nextCheck = Math.min(nextCheck, delay);
+            return true;
+        }
+        _.each(_.compact([self.limits, item.path]), function (limits) {
+            limits.queued--;
+            limits.active++;
+            limits.starts.push(now);
+        });
+        ready.push(item);
+        return false;
+    });
+    if (nextCheck < Infinity) {
+        self.timer = setTimeout(function () {
+            self.timer = null;
+            self.drain();
+        }, nextCheck);
+    }
+    // the tasks only start once the queue is up to date, since a task that finishes right away drains it again
+    _.each(ready, self.start, self);
+};
+
+// start a task and hand it the function that frees its place
+Scheduler.prototype.start = function (item) {
+    var self = this,
+        finished = false;
+    item.task(function () {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        _.each(_.compact([self.limits, item.path]), function (limits) {
+            limits.active--;
+        });
+        self.drain();
+    });
+};
+
+/**
+ * Get the number of queued and active requests, overall and for every configured endpoint path, to monitor
+ * backpressure.
+ * @returns {object} keys: `queued`, `active` and `paths`, which maps every configured path to its `queued` and `active`
+ * counts
+ * @example
+ *  ```js
+ *  // log the queue depth of a shared scheduler every ten seconds
+ *  setInterval(function () {
+ *      var depth = scheduler.stats();
+ *      console.log(depth.queued + ' queued, ' + depth.active + ' in flight');
+ *  }, 10000);
+ *  ```
+ */
+Scheduler.prototype.stats = function () {
+    return {
+        queued: this.limits.queued,
+        active: this.limits.active,
+        paths: _.mapValues(this.paths, function (limits) {
+            return {queued: limits.queued, active: limits.active};
+        })
+    };
+};
+
+// expose the scheduler
+module.exports = Scheduler;
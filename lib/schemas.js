@@ -0,0 +1,277 @@
+// JSON schemas of the request documents the client validates before sending them. The schemas describe the documents
+// in the platform documentation. People, providers and addresses are strict, so a misspelled field like `birthdate` is
+// reported, as a warning since the platform may accept fields the schemas don't list; the request documents themselves
+// allow fields the schemas don't know, for platform features added later.
+// Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var _ = require('lodash');
+
+var date = {type: 'string', format: 'date'};
+
+var strings = {type: 'array', items: {type: 'string'}};
+
+var address = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        address_lines: strings,
+        city: {type: 'string'},
+        state: {type: 'string', format: 'state'},
+        zipcode: {type: 'string', format: 'zip'},
+        country_code: {type: 'string'}
+    }
+};
+
+// a private function to create the schema of a person, with the fields every person has and the given extra fields
+var person = function (properties, required) {
+    return {
+        type: 'object',
+        additionalProperties: false,
+        required: required || [],
+        properties: _.extend({
+            id: {type: 'string', format: 'member_id'},
+            first_name: {type: 'string'},
+            middle_name: {type: 'string'},
+            last_name: {type: 'string'},
+            suffix: {type: 'string'},
+            birth_date: date,
+            gender: {type: 'string', enum: ['male', 'female', 'unknown']},
+            ssn: {type: 'string'},
+            address: address,
+            phone: {type: 'string', format: 'phone'},
+            email: {type: 'string'}
+        }, properties)
+    };
+};
+
+var provider = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        first_name: {type: 'string'},
+        middle_name: {type: 'string'},
+        last_name: {type: 'string'},
+        suffix: {type: 'string'},
+        organization_name: {type: 'string'},
+        npi: {type: 'string', format: 'npi'},
+        tax_id: {type: 'string', format: 'tax_id'},
+        taxonomy_code: {type: 'string'},
+        address: address,
+        phone: {type: 'string', format: 'phone'},
+        email: {type: 'string'}
+    }
+};
+
+var member = person({group_number: {type: 'string'}});
+
+// the clinical event of an authorization or referral
+var event = {
+    type: 'object',
+    required: ['category', 'type'],
+    properties: {
+        category: {type: 'string'},
+        certification_type: {type: 'string'},
+        delivery: {
+            type: 'object',
+            properties: {
+                quantity: {type: 'number'},
+                quantity_qualifier: {type: 'string'}
+            }
+        },
+        diagnoses: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['code'],
+                properties: {
+                    code: {type: 'string', format: 'diagnosis_code'},
+                    date: date
+                }
+            }
+        },
+        place_of_service: {type: 'string'},
+        provider: provider,
+        services: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    cpt_code: {type: 'string', format: 'procedure_code'},
+                    measurement: {type: 'string'},
+                    quantity: {type: 'number'}
+                }
+            }
+        },
+        type: {type: 'string'}
+    }
+};
+
+// the clinical review documents of authorizations and referrals have the same shape
+var review = {
+    type: 'object',
+    required: ['event', 'patient', 'provider', 'trading_partner_id'],
+    properties: {
+        event: event,
+        patient: member,
+        provider: provider,
+        trading_partner_id: {type: 'string'}
+    }
+};
+
+/**
+ * The request document of `pokitdok.eligibility(...)`.
+ * @type {object}
+ */
+var eligibility = {
+    type: 'object',
+    required: ['member', 'trading_partner_id'],
+    properties: {
+        member: member,
+        provider: provider,
+        service_types: strings,
+        cpt_code: {type: 'string', format: 'procedure_code'},
+        trading_partner_id: {type: 'string'}
+    }
+};
+
+/**
+ * The request document of `pokitdok.claims(...)`.
+ * @type {object}
+ */
+var claims = {
+    type: 'object',
+    required: ['transaction_code', 'trading_partner_id', 'billing_provider', 'subscriber', 'claim'],
+    properties: {
+        transaction_code: {type: 'string', enum: ['chargeable', 'reporting']},
+        trading_partner_id: {type: 'string'},
+        billing_provider: provider,
+        subscriber: person({
+            member_id: {type: 'string', format: 'member_id'},
+            group_number: {type: 'string'},
+            payer_responsibility: {type: 'string'}
+        }, ['first_name', 'last_name', 'member_id']),
+        patient: person({relationship: {type: 'string'}}, ['first_name', 'last_name', 'relationship']),
+        claim: {
+            type: 'object',
+            required: ['total_charge_amount', 'service_lines'],
+            properties: {
+                total_charge_amount: {type: 'number'},
+                service_lines: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['procedure_code', 'charge_amount', 'diagnosis_codes', 'service_date'],
+                        properties: {
+                            procedure_code: {type: 'string', format: 'procedure_code'},
+                            procedure_modifier_codes: strings,
+                            charge_amount: {type: 'number'},
+                            unit_count: {type: 'number'},
+                            diagnosis_codes: {
+                                type: 'array',
+                                minItems: 1,
+                                items: {type: 'string', format: 'diagnosis_code'}
+                            },
+                            service_date: date,
+                            service_end_date: date
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * The request document of `pokitdok.claimStatus(...)`.
+ * @type {object}
+ */
+var claimStatus = {
+    type: 'object',
+    required: ['patient', 'provider', 'service_date', 'trading_partner_id'],
+    properties: {
+        patient: member,
+        provider: provider,
+        service_date: date,
+        service_end_date: date,
+        trading_partner_id: {type: 'string'},
+        tracking_id: {type: 'string'}
+    }
+};
+
+/**
+ * The request document of `pokitdok.enrollment(...)`.
+ * @type {object}
+ */
+var enrollment = {
+    type: 'object',
+    required: ['trading_partner_id'],
+    properties: {
+        member: member,
+        provider: provider,
+        service_types: strings,
+        trading_partner_id: {type: 'string'}
+    }
+};
+
+/**
+ * The options of `pokitdok.providers(...)`: an NPI to look up, or the filters of a provider search.
+ * @type {object}
+ */
+var providers = {
+    type: 'object',
+    properties: {
+        npi: {type: ['string', 'number'], format: 'npi'},
+        zipcode: {type: ['string', 'number'], format: 'zip'},
+        state: {type: 'string', format: 'state'}
+    }
+};
+
+/**
+ * The options of `pokitdok.cashPrices(...)` and `pokitdok.insurancePrices(...)`.
+ * @type {object}
+ */
+var prices = {
+    type: 'object',
+    properties: {
+        cpt_code: {type: 'string', format: 'procedure_code'},
+        zip_code: {type: ['string', 'number'], format: 'zip'}
+    }
+};
+
+/**
+ * The options of `pokitdok.icdConvert(...)`.
+ * @type {object}
+ */
+var icdConvert = {
+    type: 'object',
+    required: ['code'],
+    properties: {
+        code: {type: 'string', format: 'icd9'}
+    }
+};
+
+/**
+ * The options of `pokitdok.medicalProcedureCodes(...)`: a code to look up, or the filters of a search.
+ * @type {object}
+ */
+var medicalProcedureCodes = {
+    type: 'object',
+    properties: {
+        code: {type: 'string', format: 'procedure_code'}
+    }
+};
+
+// expose the schemas
+exports.eligibility = eligibility;
+exports.claims = claims;
+exports.claimStatus = claimStatus;
+exports.authorizations = review;
+exports.referrals = review;
+exports.enrollment = enrollment;
+exports.providers = providers;
+exports.cashPrices = prices;
+exports.insurancePrices = prices;
+exports.icdConvert = icdConvert;
+exports.medicalProcedureCodes = medicalProcedureCodes;
@@ -0,0 +1,113 @@
+// Token stores keep access tokens between requests, so connections in one process or a fleet of workers on one host
+// can share a token instead of each fetching their own. A store only needs a `get` and a `set` function; anything that
+// follows the same interface, like a store backed by redis, can be handed to a connection with the `tokenStore` option.
+// Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var _ = require('lodash'),
+    JsonFile = require('./jsonfile');
+
+/**
+ * A token store that keeps tokens in memory. Hand the same store to several connections to share a token between
+ * them. Every connection without a `tokenStore` option gets a store of its own.
+ * @name MemoryTokenStore
+ * @constructor
+ * @example
+ *  ```js
+ *  // share one token between two connections
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var tokenStore = new PokitDok.tokens.MemoryTokenStore();
+ *  var eligibilityConnection = new PokitDok(clientId, clientSecret, {tokenStore: tokenStore});
+ *  var claimsConnection = new PokitDok(clientId, clientSecret, {tokenStore: tokenStore});
+ *  ```
+ */
+function MemoryTokenStore() {
+    this.tokens = {};
+}
+
+/**
+ * Get a stored token.
+ * @param {string} key - the key of the token, the client id of the connection
+ * @param {function} callback - called with an error, or null and the token. The token has the keys `access_token` and
+ * `expires_at`, the time the token expires in milliseconds since the epoch, or null when the token is unknown.
+ */
+MemoryTokenStore.prototype.get = function (key, callback) {
+    var token = this.tokens[key] || null;
+    setImmediate(function () {
+        callback(null, token);
+    });
+};
+
+/**
+ * Store a token.
+ * @param {string} key - the key of the token, the client id of the connection
+ * @param {object} token - keys: `access_token`, `expires_at`
+ * @param {function} [callback] - called with an error or null once the token is stored
+ */
+MemoryTokenStore.prototype.set = function (key, token, callback) {
+    this.tokens[key] = token;
+    setImmediate(function () {
+        callback && callback(null);
+    });
+};
+
+/**
+ * A token store that keeps tokens in a JSON file, so workers that run as separate processes on one host can share a
+ * token. Tokens are written to a temporary file first and then moved into place, so a reader never sees half a file,
+ * and the tokens a store sets are written one at a time, so setting one never drops another.
+ * @name FileTokenStore
+ * @param {string} path - the path of the JSON file; it is created when the first token is stored
+ * @constructor
+ * @example
+ *  ```js
+ *  // share a token between the worker processes on a host
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var pokitdok = new PokitDok(clientId, clientSecret, {
+ *      tokenStore: new PokitDok.tokens.FileTokenStore('/var/run/my-app/pokitdok-token.json')
+ *  });
+ *  ```
+ */
+function FileTokenStore(path) {
+    this.path = path;
+    this.file = new JsonFile(path, {mode: parseInt('600', 8)});
+}
+
+// read every token in the file. A missing or unreadable file holds no tokens.
+FileTokenStore.prototype.read = function (callback) {
+    this.file.read(function (err, tokens) {
+        // a damaged file is replaced with the next stored token
+        if (err instanceof SyntaxError) {
+            err = null;
+        }
+        callback(err, tokens instanceof Object ? tokens : {});
+    });
+};
+
+/**
+ * Get a stored token.
+ * @param {string} key - the key of the token, the client id of the connection
+ * @param {function} callback - called with an error, or null and the token
+ */
+FileTokenStore.prototype.get = function (key, callback) {
+    this.read(function (err, tokens) {
+        callback(err, tokens[key] || null);
+    });
+};
+
+/**
+ * Store a token.
+ * @param {string} key - the key of the token, the client id of the connection
+ * @param {object} token - keys: `access_token`, `expires_at`
+ * @param {function} [callback] - called with an error or null once the token is stored
+ */
+FileTokenStore.prototype.set = function (key, token, callback) {
+    this.file.update(function (tokens) {
+        tokens = tokens instanceof Object ? tokens : {};
+        tokens[key] = token;
+        return tokens;
+    }, callback);
+};
+
+// expose the token stores
+exports.MemoryTokenStore = MemoryTokenStore;
+exports.FileTokenStore = FileTokenStore;
@@ -0,0 +1,179 @@
+// A small validator for the subset of JSON schema the request schemas use: `type`, `required`, `properties`,
+// `additionalProperties`, `items`, `minItems`, `enum`, `pattern` and `format`. Every problem is reported with the JSON
+// path of the value, rather than stopping at the first one. Private functions should not use JSDoc syntax, see
+// index.js.
+
+// module globals and imports
+var identifiers = require('./identifiers'),
+    codes = require('./codes'),
+    _ = require('lodash');
+
+// a private function to check a date in the YYYY-MM-DD format the platform uses, including that the day exists
+var isDate = function (value) {
+    var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value),
+        date = match && new Date(Date.UTC(+match[1], match[2] - 1, +match[3]));
+    return !!date && date.getUTCMonth() == match[2] - 1 && date.getUTCDate() == +match[3];
+};
+
+/**
+ * The formats a schema can refer to with its `format` key. Each format has a `test` function that accepts or rejects a
+ * string and a `message` for rejected values. Numbers are tested as strings, since identifiers like zip codes are
+ * often passed as numbers. Besides `date`, there are formats for the identifiers of `PokitDok.identifiers`: `npi`,
+ * `tax_id`, `zip`, `phone`, `state` and `member_id`, and for the medical codes of `PokitDok.codes`: `diagnosis_code`,
+ * `procedure_code` and `icd9`. Add a format to make it available to every schema.
+ * @type {object}
+ */
+var formats = {
+    date: {
+        test: isDate,
+        message: 'Must be a date formatted as YYYY-MM-DD.'
+    },
+    npi: {
+        test: identifiers.isNpi,
+        message: 'Must be a 10 digit NPI with a valid check digit.'
+    },
+    tax_id: {
+        test: identifiers.isTaxId,
+        message: 'Must be a 9 digit tax id, such as an EIN formatted as 12-3456789.'
+    },
+    zip: {
+        test: identifiers.isZip,
+        message: 'Must be a 5 or 9 digit zip code.'
+    },
+    phone: {
+        test: identifiers.isPhone,
+        message: 'Must be a 10 digit phone number.'
+    },
+    state: {
+        test: identifiers.isState,
+        message: 'Must be a two letter state code.'
+    },
+    member_id: {
+        test: identifiers.isMemberId,
+        message: 'Must be 2 to 80 letters, digits or dashes.'
+    },
+    diagnosis_code: {
+        test: function (value) {
+            return codes.isValid(value, 'icd10') || codes.isValid(value, 'icd9');
+        },
+        message: 'Must be an ICD-10 or ICD-9 diagnosis code.'
+    },
+    procedure_code: {
+        test: function (value) {
+            return codes.isValid(value, 'cpt') || codes.isValid(value, 'hcpcs');
+        },
+        message: 'Must be a CPT or HCPCS procedure code.'
+    },
+    icd9: {
+        test: function (value) {
+            return codes.isValid(value, 'icd9');
+        },
+        message: 'Must be an ICD-9 diagnosis code.'
+    }
+};
+
+// a private function to tell whether a value has one of the JSON types of a schema
+var hasType = function (value, type) {
+    return _.some([].concat(type), function (name) {
+        switch (name) {
+            case 'object':
+                return _.isPlainObject(value);
+            case 'array':
+                return value instanceof Array;
+            case 'integer':
+                return typeof value == 'number' && value % 1 === 0;
+            case 'null':
+                return value === null;
+            default:
+                return typeof value == name;
+        }
+    });
+};
+
+// a private function to extend a JSON path with a property name or list index
+var child = function (path, key) {
+    if (typeof key == 'number') {
+        return path + '[' + key + ']';
+    }
+    return path ? path + '.' + key : key;
+};
+
+// a private function to collect the problems of a value and everything inside it
+var check = function (schema, value, path, problems) {
+    var report = function (message, at, warning) {
+        var problem = {field: at === undefined ? path : at, message: message};
+        if (warning) {
+            problem.warning = true;
+        }
+        problems.push(problem);
+    };
+    if (schema.type && !hasType(value, schema.type)) {
+        report('Must be ' + [].concat(schema.type).map(function (type) {
+            return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+        }).join(' or ') + '.');
+        return problems;
+    }
+    if (schema.enum && !_.includes(schema.enum, value)) {
+        report('Must be one of: ' + schema.enum.join(', ') + '.');
+    }
+    if (typeof value == 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        report(schema.patternMessage || 'Does not match the expected format.');
+    }
+    if ((typeof value == 'string' || typeof value == 'number') && formats[schema.format] &&
+        !formats[schema.format].test(String(value))) {
+        report(formats[schema.format].message);
+    }
+    if (value instanceof Array) {
+        if (schema.minItems && value.length < schema.minItems) {
+            report('Must have at least ' + schema.minItems + (schema.minItems == 1 ? ' item.' : ' items.'));
+        }
+        if (schema.items) {
+            _.each(value, function (item, index) {
+                check(schema.items, item, child(path, index), problems);
+            });
+        }
+    }
+    if (_.isPlainObject(value)) {
+        _.each(schema.required, function (key) {
+            if (value[key] === undefined || value[key] === null || value[key] === '') {
+                report('This field is required.', child(path, key));
+            }
+        });
+        _.each(value, function (item, key) {
+            if (schema.properties && schema.properties[key]) {
+                if (item !== undefined && item !== null) {
+                    check(schema.properties[key], item, child(path, key), problems);
+                }
+            } else if (schema.additionalProperties === false) {
+                // the platform may know fields the schema doesn't, so they are only worth a warning
+                report('Unknown field.', child(path, key), true);
+            }
+        });
+    }
+    return problems;
+};
+
+/**
+ * Validate a value against a schema.
+ * @param {object} schema - the schema, such as one of `PokitDok.schemas`
+ * @param {*} value - the value to validate
+ * @returns {Array} the problems, each with the JSON path of the `field`, such as `member.birth_date` or
+ * `claim.service_lines[0].charge_amount`, and a `message`. The list is empty for a valid value. Fields that a strict
+ * schema doesn't know are reported with `warning: true`; connections log them instead of failing the request.
+ * @example
+ *  ```js
+ *  // check an eligibility request before queueing it
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var problems = PokitDok.validate(PokitDok.schemas.eligibility, eligibilityRequest);
+ *  problems.forEach(function (problem) {
+ *      console.log(problem.field + ': ' + problem.message);
+ *  });
+ *  ```
+ */
+var validate = function (schema, value) {
+    return check(schema, value, '', []);
+};
+
+// expose the validator
+module.exports = validate;
+module.exports.formats = formats;
@@ -0,0 +1,307 @@
+// An activity watcher tracks the state of many activities at once, such as every claim submitted in a day, and emits
+// an event as each one changes state. Activities are polled in batches through the activities list wherever it has
+// them, and one by one otherwise. The watched set can be kept in a JSON file, so a restarted process picks up where
+// the last one stopped. Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var events = require('events'),
+    util = require('util'),
+    _ = require('lodash'),
+    JsonFile = require('./jsonfile');
+
+// the states an activity never leaves, see `pokitdok.waitForActivity(...)` too
+var FINAL_STATES = ['completed', 'failed', 'canceled'];
+
+// a private function to find the id of an activity in an id, an activity or the response of a submission like claims
+var activityId = function (activity) {
+    if (activity instanceof Object) {
+        return activityId(activity.data instanceof Object ? activity.data.id : activity.id);
+    }
+    return typeof activity == 'string' && activity ? activity : null;
+};
+
+/**
+ * Watch the state of a set of activities. Every `interval` the watcher reads the activities list, page by page, until
+ * it has seen every watched activity or read `maxPages` pages, and fetches the ones it didn't see one by one. It emits:
+ *
+ * - `state` with the activity and the name of its previous state, null for the first state seen, whenever the state
+ *   of an activity changes
+ * - `completed`, `failed` or `canceled` with the activity once it reaches that state; it is no longer watched after
+ * - `error` with the error of a failed poll or a failed write of the `file`, and the id of the activity when only
+ *   that one failed to poll. Polling goes on at the next interval. As with any event emitter, an `error` without a
+ *   listener is thrown, so add one.
+ *
+ * With a `file`, the watched activities and their last known states are kept in that JSON file. `start()` restores
+ * them, so no state change is missed across a restart.
+ * @name ActivityWatcher
+ * @param {PokitDok} connection - the connection to poll with
+ * @param {object} [options] - keys: `interval`, the milliseconds between polls (30000), `pageSize`, the number of
+ * activities per page of the list (100), `maxPages`, the number of pages to read at most per poll (3), `batch`, false
+ * to fetch every activity one by one instead of reading the list, and `file`, the path of the JSON file to keep the
+ * watched activities in
+ * @constructor
+ * @example
+ *  ```js
+ *  // track every submitted claim, across restarts
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var watcher = new PokitDok.ActivityWatcher(pokitdok, {file: '/var/lib/billing/activities.json'});
+ *  watcher.on('completed', function (activity) {
+ *      console.log('claim activity ' + activity.id + ' completed', activity.result);
+ *  }).on('failed', function (activity) {
+ *      console.log('claim activity ' + activity.id + ' failed');
+ *  }).on('error', function (err, id) {
+ *      console.log('polling ' + (id || 'activities') + ' failed: ' + err.message);
+ *  });
+ *  watcher.start();
+ *  pokitdok.claims(claimDocument, function (err, res) {
+ *      if (!err) {
+ *          watcher.watch(res);
+ *      }
+ *  });
+ *  ```
+ */
+function ActivityWatcher(connection, options) {
+    events.EventEmitter.call(this);
+    options = options || {};
+    this.connection = connection;
+    this.interval = options.interval || 30000;
+    this.pageSize = options.pageSize || 100;
+    this.maxPages = options.maxPages || 3;
+    this.batch = options.batch !== false;
+    // the file lists the activities of members, so only its owner may read it
+    this.file = options.file ? new JsonFile(options.file, {mode: parseInt('600', 8)}) : null;
+    this.states = {};
+    this.timer = null;
+    this.running = false;
+    this.polling = false;
+}
+util.inherits(ActivityWatcher, events.EventEmitter);
+
+/**
+ * Start watching an activity. Activities that already finished are reported at the next poll, too.
+ * @param {string|object} activity - the id of the activity, the activity, or the response of a submission like
+ * `pokitdok.claims(...)`
+ * @returns {ActivityWatcher} the watcher
+ */
+ActivityWatcher.prototype.watch = function (activity) {
+    var id = activityId(activity);
+    if (id && !_.has(this.states, id)) {
+        this.states[id] = null;
+        this.persist();
+    }
+    return this;
+};
+
+/**
+ * Stop watching an activity.
+ * @param {string|object} activity - the id of the activity, the activity, or the response of its submission
+ * @returns {ActivityWatcher} the watcher
+ */
+ActivityWatcher.prototype.unwatch = function (activity) {
+    var id = activityId(activity);
+    if (_.has(this.states, id)) {
+        delete this.states[id];
+        this.persist();
+    }
+    return this;
+};
+
+/**
+ * Get the ids of the watched activities.
+ * @returns {Array} the ids
+ */
+ActivityWatcher.prototype.watched = function () {
+    return _.keys(this.states);
+};
+
+/**
+ * Start polling, right away and then every `interval`. A watcher with a `file` restores the activities in it first.
+ * @param {function} [callback] - called with an error or null once the file is restored
+ * @returns {ActivityWatcher} the watcher
+ */
+ActivityWatcher.prototype.start = function (callback) {
+    var self = this;
+    callback = callback || _.noop;
+    if (self.running) {
+        setImmediate(callback, null);
+        return self;
+    }
+    self.running = true;
+    self.restore(function (err) {
+        if (self.running) {
+            self.poll();
+        }
+        callback(err);
+    });
+    return self;
+};
+
+/**
+ * Stop polling. A poll that is in flight still emits its events.
+ * @returns {ActivityWatcher} the watcher
+ */
+ActivityWatcher.prototype.stop = function () {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this;
+};
+
+// poll every watched activity once, and schedule the next poll
+ActivityWatcher.prototype.poll = function (callback) {
+    var self = this,
+        pending = _.keys(self.states),
+        next = function () {
+            self.polling = false;
+            if (self.running) {
+                self.timer = setTimeout(function () {
+                    self.poll();
+                }, self.interval);
+            }
+            callback && callback();
+        };
+    if (self.polling) {
+        return;
+    }
+    self.polling = true;
+    self.timer = null;
+    if (!pending.length) {
+        return next();
+    }
+    if (!self.batch) {
+        return self.fetchEach(pending, next);
+    }
+    self.readList(pending, function (missing) {
+        self.fetchEach(missing, next);
+    });
+};
+
+// read the activities list until every pending activity was on it or `maxPages` pages were read, and call back with
+// the ids that weren't. A single activity is cheaper to fetch by itself.
+ActivityWatcher.prototype.readList = function (pending, callback) {
+    var self = this,
+        iterator = self.connection.iterate('activities', {}, {
+            pageSize: self.pageSize,
+            maxItems: self.pageSize * self.maxPages
+        }),
+        receive = function (result) {
+            if (result.done) {
+                return callback(pending);
+            }
+            if (_.includes(pending, result.value.id)) {
+                pending = _.without(pending, result.value.id);
+                self.update(result.value);
+            }
+            read();
+        },
+        fail = function (err) {
+            self.emit('error', err, null);
+            callback(pending);
+        },
+        read = function () {
+            if (!pending.length) {
+                return callback(pending);
+            }
+            // events are emitted outside of the promise, so a listener that throws, or an error without a listener,
+            // surfaces as an exception instead of a rejection nobody handles
+            iterator.next().then(function (result) {
+                process.nextTick(receive, result);
+            }, function (err) {
+                process.nextTick(fail, err);
+            });
+        };
+    if (pending.length == 1) {
+        return callback(pending);
+    }
+    read();
+};
+
+// fetch activities one by one, all at once, as the connection's limits allow
+ActivityWatcher.prototype.fetchEach = function (ids, callback) {
+    var self = this,
+        remaining = ids.length;
+    if (!remaining) {
+        return callback();
+    }
+    _.each(ids, function (id) {
+        self.connection.activities({id: id}, function (err, res) {
+            if (err) {
+                self.emit('error', err, id);
+            } else if (res && res.data) {
+                self.update(res.data);
+            }
+            if (--remaining === 0) {
+                callback();
+            }
+        });
+    });
+};
+
+// take in the latest state of an activity and emit its events
+ActivityWatcher.prototype.update = function (activity) {
+    var previous = this.states[activity.id],
+        state = _.get(activity, 'state.name') || null;
+    if (!_.has(this.states, activity.id) || state === previous) {
+        return;
+    }
+    this.states[activity.id] = state;
+    if (_.includes(FINAL_STATES, state)) {
+        delete this.states[activity.id];
+    }
+    this.persist();
+    this.emit('state', activity, previous);
+    if (_.includes(FINAL_STATES, state)) {
+        this.emit(state, activity);
+    }
+};
+
+// save the watched activities, and emit the error of a failed write
+ActivityWatcher.prototype.persist = function () {
+    var self = this;
+    self.save(function (err) {
+        if (err) {
+            self.emit('error', err, null);
+        }
+    });
+};
+
+/**
+ * Write the watched activities and their last known states to the `file`. Activities are saved as they change, so
+ * this is only needed to be sure a save finished.
+ * @param {function} [callback] - called with an error or null once the file is written
+ */
+ActivityWatcher.prototype.save = function (callback) {
+    if (!this.file) {
+        return callback && setImmediate(callback, null);
+    }
+    this.file.write({activities: this.states}, callback);
+};
+
+/**
+ * Add the activities in the `file` to the watched set, with their last known states. A missing file holds no
+ * activities. `start()` restores the file itself.
+ * @param {function} [callback] - called with an error or null once the file is read
+ */
+ActivityWatcher.prototype.restore = function (callback) {
+    var self = this;
+    callback = callback || _.noop;
+    if (!self.file) {
+        return setImmediate(callback, null);
+    }
+    self.file.read(function (err, saved) {
+        if (err) {
+            return callback(err);
+        }
+        _.each(saved && saved.activities, function (state, id) {
+            if (!_.has(self.states, id)) {
+                self.states[id] = state;
+            }
+        });
+        callback(null);
+    });
+};
+
+// expose the watcher, and the activity helpers `pokitdok.waitForActivity(...)` shares with it
+module.exports = ActivityWatcher;
+module.exports.FINAL_STATES = FINAL_STATES;
+module.exports.activityId = activityId;
@@ -0,0 +1,287 @@
+// X12 interchange parsing. Reads the separators from the ISA header, splits an interchange into functional groups and
+// transaction sets and checks the envelope trailers against their headers. Private functions should not use JSDoc
+// syntax, see index.js.
+
+// module globals and imports
+var _ = require('lodash');
+
+// the ISA segment always has 16 elements, the last of which is the component separator
+var ISA_ELEMENT_COUNT = 16;
+
+/**
+ * A single X12 segment. Elements are addressed the same way as in the X12 implementation guides: `NM103` is
+ * `segment.element(3)` and `SV101-2` is `segment.component(1, 2)`.
+ * @name Segment
+ * @param {string} id - the segment id, such as `NM1`
+ * @param {Array} elements - the element values, the first being the XX01 element
+ * @param {object} separators - keys: element, component, repetition, segment
+ * @param {number} position - the 1 based position of the segment in the parsed content
+ * @constructor
+ */
+function Segment(id, elements, separators, position) {
+    this.id = id;
+    this.elements = elements;
+    this.separators = separators;
+    this.position = position;
+}
+
+/**
+ * Get an element value by its 1 based X12 position. Missing elements are returned as an empty string.
+ * @param {number} index - the element position, 1 for the XX01 element
+ * @returns {string}
+ */
+Segment.prototype.element = function (index) {
+    var value = this.elements[index - 1];
+    return value === undefined ? '' : value;
+};
+
+/**
+ * Get a component of a composite element by its 1 based X12 positions. Missing components are returned as an empty
+ * string.
+ * @param {number} index - the element position, 1 for the XX01 element
+ * @param {number} componentIndex - the component position, 1 for the first component
+ * @returns {string}
+ */
+Segment.prototype.component = function (index, componentIndex) {
+    var value = this.element(index).split(this.separators.component)[componentIndex - 1];
+    return value === undefined ? '' : value;
+};
+
+/**
+ * Get all components of a composite element.
+ * @param {number} index - the element position, 1 for the XX01 element
+ * @returns {Array}
+ */
+Segment.prototype.components = function (index) {
+    return this.element(index).split(this.separators.component);
+};
+
+/**
+ * Serialize the segment, including its segment terminator.
+ * @returns {string}
+ */
+Segment.prototype.toString = function () {
+    return [this.id].concat(this.elements).join(this.separators.element) + this.separators.segment;
+};
+
+// a private function to read the separators from the fixed layout of the ISA segment
+var readSeparators = function (text) {
+    var element = text.charAt(3),
+        offset = 0,
+        isa;
+    // find the 16th element separator; the component separator follows it and the segment terminator follows that
+    for (var i = 0; i < ISA_ELEMENT_COUNT; i++) {
+        offset = text.indexOf(element, offset + 1);
+        if (offset < 0) {
+            return null;
+        }
+    }
+    isa = text.slice(0, offset).split(element);
+    return {
+        element: element,
+        component: text.charAt(offset + 1),
+        // the repetition separator is only defined from version 00501 on; earlier versions use ISA11 as a standards id
+        repetition: isa[12] >= '00501' && !/[A-Za-z0-9]/.test(isa[11]) ? isa[11] : null,
+        segment: text.charAt(offset + 2)
+    };
+};
+
+// a private function to report an envelope problem
+var report = function (errors, code, segment, message) {
+    errors.push({
+        code: code,
+        segment: segment ? segment.id : null,
+        position: segment ? segment.position : null,
+        message: message
+    });
+};
+
+// a private function to compare a trailer count and control number with its header
+var checkTrailer = function (errors, envelope, trailer, count, expected, controlNumber, name) {
+    if (!trailer) {
+        return report(errors, name + '_MISSING', envelope.header, envelope.header.id + ' ' + controlNumber +
+            ' has no ' + name + ' trailer');
+    }
+    if (parseInt(trailer.element(1), 10) !== count) {
+        report(errors, name + '_COUNT_MISMATCH', trailer, name + '01 is ' + trailer.element(1) + ' but ' + count +
+            ' ' + expected + ' found');
+    }
+    if (trailer.element(2) !== controlNumber) {
+        report(errors, name + '_CONTROL_NUMBER_MISMATCH', trailer, name + '02 ' + trailer.element(2) +
+            ' does not match the header control number ' + controlNumber);
+    }
+};
+
+/**
+ * Parse X12 content into interchanges, functional groups and transaction sets. The separators are read from each
+ * ISA header. Envelope problems, like an SE segment count or a GE control number that does not match, are collected
+ * in the `errors` list of the result rather than thrown; only content that does not start with an ISA header throws.
+ * @param {string|Buffer} content - the X12 content
+ * @returns {object} keys: `interchanges`, `errors`. Each interchange has a `header`, `trailer`, `separators`,
+ * `controlNumber`, `senderId`, `receiverId` and `groups`, each group has a `header`, `trailer`, `controlNumber`,
+ * `functionalIdentifier`, `version` and `transactions`, and each transaction set has a `header`, `trailer`, `type`,
+ * `controlNumber` and its `segments` from ST through SE. Errors have a `code`, `segment`, `position` and `message`.
+ * @example
+ *  ```js
+ *  // print the segments of every transaction set in an 837 file
+ *  var x12 = require('pokitdok-nodejs').x12;
+ *  var result = x12.parse(fs.readFileSync('test_claim.837'));
+ *  result.interchanges.forEach(function (interchange) {
+ *      interchange.groups.forEach(function (group) {
+ *          group.transactions.forEach(function (transaction) {
+ *              transaction.segments.forEach(function (segment) {
+ *                  console.log(segment.id, segment.elements);
+ *              });
+ *          });
+ *      });
+ *  });
+ *  // print any envelope problems
+ *  result.errors.forEach(function (error) {
+ *      console.log(error.code + ': ' + error.message);
+ *  });
+ *  ```
+ */
+var parse = function (content) {
+    var text = String(content).replace(/^\s+/, ''),
+        result = {interchanges: [], errors: []},
+        interchange = null,
+        group = null,
+        transaction = null,
+        position = 0;
+
+    while (text.length) {
+        var separators = text.indexOf('ISA') === 0 && readSeparators(text);
+        if (!separators) {
+            throw new Error('X12 content must start with an ISA interchange header');
+        }
+        // split the content with the separators of the current interchange, up to the next ISA segment
+        var raw = text.split(separators.segment),
+            start = position;
+        text = '';
+        for (var i = 0; i < raw.length; i++) {
+            var source = raw[i].replace(/^\s+|[\r\n]+$/g, '');
+            if (!source) {
+                continue;
+            }
+            if (position > start && source.indexOf('ISA') === 0) {
+                // a new interchange may use different separators, so parse the rest of the content again
+                text = raw.slice(i).join(separators.segment).replace(/^\s+/, '');
+                break;
+            }
+            var elements = source.split(separators.element),
+                segment = new Segment(elements[0], elements.slice(1), separators, ++position);
+            // an envelope segment closes any transaction set or group that is still missing its trailer
+            if (transaction && /^(GS|ST|GE|IEA)$/.test(segment.id)) {
+                checkTrailer(result.errors, transaction, null, 0, 'segments', transaction.controlNumber, 'SE');
+                transaction = null;
+            }
+            if (group && /^(GS|IEA)$/.test(segment.id)) {
+                checkTrailer(result.errors, group, null, 0, 'transaction sets', group.controlNumber, 'GE');
+                group = null;
+            }
+            if (segment.id == 'ISA') {
+                interchange = {
+                    header: segment,
+                    trailer: null,
+                    separators: separators,
+                    controlNumber: segment.element(13),
+                    senderQualifier: segment.element(5),
+                    senderId: segment.element(6).trim(),
+                    receiverQualifier: segment.element(7),
+                    receiverId: segment.element(8).trim(),
+                    date: segment.element(9),
+                    time: segment.element(10),
+                    version: segment.element(12),
+                    usageIndicator: segment.element(15),
+                    groups: []
+                };
+                result.interchanges.push(interchange);
+            } else if (segment.id == 'GS') {
+                group = {
+                    header: segment,
+                    trailer: null,
+                    functionalIdentifier: segment.element(1),
+                    senderCode: segment.element(2),
+                    receiverCode: segment.element(3),
+                    date: segment.element(4),
+                    time: segment.element(5),
+                    controlNumber: segment.element(6),
+                    version: segment.element(8),
+                    transactions: []
+                };
+                if (interchange) {
+                    interchange.groups.push(group);
+                } else {
+                    report(result.errors, 'GS_OUTSIDE_INTERCHANGE', segment, 'GS ' + group.controlNumber +
+                        ' is not inside an interchange');
+                }
+            } else if (segment.id == 'ST') {
+                transaction = {
+                    header: segment,
+                    trailer: null,
+                    type: segment.element(1),
+                    controlNumber: segment.element(2),
+                    implementation: segment.element(3),
+                    segments: [segment]
+                };
+                if (group) {
+                    group.transactions.push(transaction);
+                } else {
+                    report(result.errors, 'ST_OUTSIDE_GROUP', segment, 'ST ' + transaction.controlNumber +
+                        ' is not inside a functional group');
+                }
+            } else if (transaction) {
+                transaction.segments.push(segment);
+                if (segment.id == 'SE') {
+                    transaction.trailer = segment;
+                    checkTrailer(result.errors, transaction, segment, transaction.segments.length, 'segments',
+                        transaction.controlNumber, 'SE');
+                    transaction = null;
+                }
+            } else if (segment.id == 'GE' && group) {
+                group.trailer = segment;
+                checkTrailer(result.errors, group, segment, group.transactions.length, 'transaction sets',
+                    group.controlNumber, 'GE');
+                group = null;
+            } else if (segment.id == 'IEA' && interchange) {
+                interchange.trailer = segment;
+                checkTrailer(result.errors, interchange, segment, interchange.groups.length, 'functional groups',
+                    interchange.controlNumber, 'IEA');
+                interchange = null;
+            } else {
+                report(result.errors, 'UNEXPECTED_SEGMENT', segment, segment.id + ' is outside of a transaction set');
+            }
+        }
+        // report envelopes that were still open at the end of the interchange
+        if (transaction) {
+            checkTrailer(result.errors, transaction, null, 0, 'segments', transaction.controlNumber, 'SE');
+        }
+        if (group) {
+            checkTrailer(result.errors, group, null, 0, 'transaction sets', group.controlNumber, 'GE');
+        }
+        if (interchange) {
+            checkTrailer(result.errors, interchange, null, 0, 'functional groups', interchange.controlNumber, 'IEA');
+        }
+        interchange = group = transaction = null;
+    }
+    return result;
+};
+
+/**
+ * List every transaction set in parsed X12, optionally of a single transaction set type.
+ * @param {object} parsed - the result of `x12.parse`
+ * @param {string} [type] - a transaction set id, such as `837`
+ * @returns {Array}
+ */
+var transactions = function (parsed, type) {
+    return _.filter(_.flatten(_.map(parsed.interchanges, function (interchange) {
+        return _.flatten(_.pluck(interchange.groups, 'transactions'));
+    })), function (transaction) {
+        return !type || transaction.type == type;
+    });
+};
+
+// expose the parser
+exports.Segment = Segment;
+exports.parse = parse;
+exports.transactions = transactions;
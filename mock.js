@@ -0,0 +1,778 @@
+// A local stand-in for the PokitDok Platform. It implements the oauth2 token endpoint and returns canned responses for
+// every endpoint wrapped by the client, so applications and the test suite can run without network access or
+// platform credentials. Private functions should not use JSDoc syntax, see index.js.
+
+// module globals and imports
+var http = require('http'),
+    url = require('url'),
+    crypto = require('crypto'),
+    querystring = require('querystring'),
+    _ = require('lodash');
+
+// canned platform data. Every mock server works on its own copy, so state changes like activity transitions do not
+// leak between servers.
+var fixtures = {
+    activities: [
+        {
+            id: '5317f51527a27620f2ec7533',
+            name: 'X12 837 claim',
+            callback_url: null,
+            history: [
+                {name: 'init', title: 'Initialized', record_dt: '2014-06-01T12:00:00'},
+                {name: 'scheduled', title: 'Scheduled', record_dt: '2014-06-01T12:00:01'}
+            ],
+            state: {name: 'scheduled', title: 'Scheduled'},
+            transition_path: ['submit', 'complete'],
+            trading_partner_id: 'MOCKPAYER',
+            units_of_work: 1
+        },
+        {
+            id: '53cd98fbfe60f32092d920ba',
+            name: 'X12 270 eligibility',
+            callback_url: null,
+            history: [
+                {name: 'init', title: 'Initialized', record_dt: '2014-07-22T09:30:00'},
+                {name: 'completed', title: 'Completed', record_dt: '2014-07-22T09:30:04'}
+            ],
+            state: {name: 'completed', title: 'Completed'},
+            transition_path: [],
+            trading_partner_id: 'MOCKPAYER',
+            units_of_work: 1
+        }
+    ],
+    // the claims document for the 837 in test_claim.837, answered by /claims/convert
+    convertedClaim: {
+        transaction_code: 'chargeable',
+        trading_partner_id: 'MOCKPAYER',
+        billing_provider: {
+            taxonomy_code: '207Q00000X',
+            first_name: 'Jerome',
+            last_name: 'Aya-Ay',
+            npi: '1467560003',
+            address: {
+                address_lines: ['8311 WARREN H ABERNATHY HWY'],
+                city: 'SPARTANBURG',
+                state: 'SC',
+                zipcode: '29301'
+            },
+            tax_id: '123456789'
+        },
+        subscriber: {
+            first_name: 'Jane',
+            last_name: 'Doe',
+            member_id: 'W000000000',
+            address: {
+                address_lines: ['123 N MAIN ST'],
+                city: 'SPARTANBURG',
+                state: 'SC',
+                zipcode: '29301'
+            },
+            birth_date: '1970-01-01',
+            gender: 'female'
+        },
+        claim: {
+            total_charge_amount: 60.0,
+            service_lines: [
+                {
+                    procedure_code: '99213',
+                    charge_amount: 60.0,
+                    unit_count: 1.0,
+                    diagnosis_codes: ['J10.1'],
+                    service_date: '2014-06-01'
+                }
+            ]
+        }
+    },
+    mpc: [
+        {code: '99211', name: 'Office/outpatient visit est', description: 'Office or other outpatient visit, established patient, minimal'},
+        {code: '99212', name: 'Office/outpatient visit est', description: 'Office or other outpatient visit, established patient, straightforward'},
+        {code: '99213', name: 'Office/outpatient visit est', description: 'Office or other outpatient visit, established patient, low complexity'},
+        {code: '90658', name: 'Flu vaccine 3 yrs & > im', description: 'Influenza virus vaccine, split virus, for intramuscular use'}
+    ],
+    payers: [
+        {payer_name: 'MockPayer', trading_partner_id: 'MOCKPAYER'},
+        {payer_name: 'MockPayer Medicare', trading_partner_id: 'MOCKMEDICARE'}
+    ],
+    plans: [
+        {plan_id: '99999TX0010001', plan_name: 'Mock Silver PPO', plan_type: 'PPO', metallic_level: 'silver', state: 'TX', county: 'TRAVIS', trading_partner_id: 'MOCKPAYER'},
+        {plan_id: '99999TX0010002', plan_name: 'Mock Gold HMO', plan_type: 'HMO', metallic_level: 'gold', state: 'TX', county: 'TRAVIS', trading_partner_id: 'MOCKPAYER'},
+        {plan_id: '99999SC0010001', plan_name: 'Mock Bronze PPO', plan_type: 'PPO', metallic_level: 'bronze', state: 'SC', county: 'SPARTANBURG', trading_partner_id: 'MOCKPAYER'}
+    ],
+    providers: [
+        {provider: {npi: '1881692002', first_name: 'EMILY', last_name: 'SHEN', specialty: 'Family Medicine', locations: [{city: 'SAN FRANCISCO', state: 'CA', zipcode: '94118'}]}},
+        {provider: {npi: '1467560003', first_name: 'JEROME', last_name: 'AYA-AY', specialty: 'Family Medicine', locations: [{city: 'SPARTANBURG', state: 'SC', zipcode: '29301'}]}},
+        {provider: {npi: '1760779011', organization_name: 'KELLY ULTRASOUND CENTER, LLC', specialty: 'Radiology', locations: [{city: 'SPARTANBURG', state: 'SC', zipcode: '29301'}]}},
+        {provider: {npi: '1154387751', first_name: 'JOHN', last_name: 'FOSTER', specialty: 'Otolaryngology', locations: [{city: 'SPARTANBURG', state: 'SC', zipcode: '29303'}]}},
+        {provider: {npi: '1619131232', first_name: 'CHRISTINA', last_name: 'BERTOLAMI', specialty: 'Otolaryngology', locations: [{city: 'SAN FRANCISCO', state: 'CA', zipcode: '94115'}]}}
+    ],
+    schedulers: [
+        {scheduler_uuid: '967d207f-b024-41cc-8cac-89575a1f6fef', name: 'Greenway', description: 'Greenway Health scheduling system'},
+        {scheduler_uuid: '8b21efa4-8535-11e4-a6cb-0800272e8da1', name: 'Athena', description: 'athenahealth scheduling system'}
+    ],
+    appointmentTypes: [
+        {appointment_type_uuid: 'be3c2e4c-4c5c-46c1-a0b4-f1e5a5f6e7d8', type: 'AT1', description: 'Initial consultation'},
+        {appointment_type_uuid: 'a8f3b1c2-2f5e-4d8a-9c6b-0e1d2f3a4b5c', type: 'AT2', description: 'Follow up visit'}
+    ],
+    appointments: [
+        {
+            pd_appointment_uuid: 'ef987691-0a19-447f-814d-f8f3abbf4859',
+            pd_provider_uuid: 'b691b7f9-bfa8-486d-a689-214ae47ea6f8',
+            appointment_type: 'AT1',
+            start_date: '2014-12-16T15:09:34.197709',
+            end_date: '2014-12-16T16:09:34.197717',
+            booked: true
+        }
+    ],
+    identities: [
+        {
+            uuid: '881bc095-2068-43cb-9783-cce630364122',
+            first_name: 'Oscar',
+            last_name: 'Whitmire',
+            gender: 'male',
+            birth_date: '2000-05-01'
+        }
+    ],
+    tradingPartners: [
+        {id: 'MOCKPAYER', name: 'Mock Payer for Testing', supported_transactions: ['270', '276', '278', '837', '834']},
+        {id: 'MOCKMEDICARE', name: 'Mock Medicare', supported_transactions: ['270', '837']}
+    ]
+};
+
+// a private function to build the envelope the platform wraps around every response
+var envelope = function (data, meta) {
+    return {
+        meta: _.extend({
+            application_mode: 'mock',
+            processing_time: 1
+        }, meta),
+        data: data
+    };
+};
+
+// a private function to answer a list request with the page its `limit` and `offset` ask for, and the paging
+// metadata of the platform: the `result_count` of the whole list and a `next` link while there are more pages
+var page = function (req, list) {
+    var offset = parseInt(req.query.offset, 10) || 0,
+        limit = parseInt(req.query.limit, 10) || list.length,
+        meta = {result_count: list.length};
+    if (offset + limit < list.length) {
+        meta.next = url.parse(req.url).pathname + '?' +
+            querystring.stringify(_.extend({}, req.query, {offset: offset + limit, limit: limit}));
+    }
+    return {data: list.slice(offset, offset + limit), meta: meta};
+};
+
+// a private function to build an error envelope in the platform's error format
+var errors = function (errorData) {
+    return envelope({errors: errorData});
+};
+
+// a private function to create a new activity for asynchronous submissions like claims
+var createActivity = function (mock, name, parameters) {
+    var activity = {
+        id: crypto.randomBytes(12).toString('hex'),
+        name: name,
+        callback_url: parameters.callback_url || null,
+        history: [
+            {name: 'init', title: 'Initialized', record_dt: new Date().toISOString()}
+        ],
+        state: {name: 'init', title: 'Initialized'},
+        transition_path: ['scheduled', 'submit', 'complete'],
+        trading_partner_id: parameters.trading_partner_id,
+        units_of_work: 1,
+        parameters: parameters
+    };
+    mock.data.activities.push(activity);
+    return activity;
+};
+
+// a private function that answers with a single fixture selected by key, a 404 when the key is unknown or the
+// whole list when no key was given
+var listOrSingle = function (list, key, value, single) {
+    if (!value) {
+        return {data: list};
+    }
+    var found = _.filter(list, function (item) {
+        return item[key] === value;
+    });
+    if (!found.length) {
+        return {statusCode: 404, body: errors({query: [key + ' ' + value + ' was not found']})};
+    }
+    return {data: single ? found[0] : found};
+};
+
+// a private function to split a multipart/form-data body into its fields. File fields are returned as objects with the
+// filename and content of the upload.
+var parseMultipart = function (contentType, body) {
+    var boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).join(''),
+        fields = {};
+    if (!boundary) {
+        return fields;
+    }
+    _.each(body.toString('binary').split('--' + boundary), function (part) {
+        var split = part.indexOf('\r\n\r\n'),
+            headers = part.slice(0, split),
+            name = headers.match(/name="([^"]*)"/),
+            filename = headers.match(/filename="([^"]*)"/),
+            content = part.slice(split + 4).replace(/\r\n$/, '');
+        if (split < 0 || !name) {
+            return;
+        }
+        content = new Buffer(content, 'binary').toString();
+        fields[name[1]] = filename ? {filename: filename[1], content: content} : content;
+    });
+    return fields;
+};
+
+// a private function to check for required keys on a posted document
+var requireKeys = function (body, keys) {
+    var missing = _.filter(keys, function (key) {
+        return !body || body[key] === undefined || body[key] === null || body[key] === '';
+    });
+    if (!missing.length) {
+        return null;
+    }
+    var fieldErrors = {};
+    _.each(missing, function (key) {
+        fieldErrors[key] = ['This field is required.'];
+    });
+    return {statusCode: 422, body: errors(fieldErrors)};
+};
+
+// API routes. Each route matches a method and an api path (without the /api/{version} prefix) and returns a
+// response description: either `data` to wrap in the platform envelope, or a raw `statusCode` and `body`.
+var routes = [
+    ['GET', /^\/activities\/?$/, function (req) {
+        return page(req, req.mock.data.activities);
+    }],
+    ['GET', /^\/activities\/([^\/]+)$/, function (req, id) {
+        var result = listOrSingle(req.mock.data.activities, 'id', id, true),
+            next = result.data && req.mock.plays[id] && req.mock.plays[id].shift();
+        if (next) {
+            _.extend(result.data, _.omit(next, 'name'), {state: {name: next.name, title: _.capitalize(next.name)}});
+            result.data.history.push({name: next.name, title: result.data.state.title, record_dt: new Date().toISOString()});
+        }
+        return result;
+    }],
+    ['PUT', /^\/activities\/([^\/]+)$/, function (req, id) {
+        var result = listOrSingle(req.mock.data.activities, 'id', id, true),
+            states = {cancel: 'canceled', pause: 'paused', resume: 'scheduled'},
+            transition = req.body && req.body.transition;
+        if (!result.data) {
+            return result;
+        }
+        if (!states[transition]) {
+            return {statusCode: 422, body: errors({transition: ['Unknown transition ' + transition]})};
+        }
+        result.data.state = {name: states[transition], title: _.capitalize(states[transition])};
+        result.data.history.push({name: states[transition], title: result.data.state.title, record_dt: new Date().toISOString()});
+        return result;
+    }],
+    ['POST', /^\/authorizations\/?$/, function (req) {
+        return requireKeys(req.body, ['trading_partner_id']) || {
+            data: {
+                correlation_id: crypto.randomBytes(16).toString('hex'),
+                trading_partner_id: req.body.trading_partner_id,
+                event: _.extend({review: {certification_action: 'certified_in_total'}}, req.body.event),
+                patient: req.body.patient,
+                provider: req.body.provider,
+                valid_request: true
+            }
+        };
+    }],
+    ['GET', /^\/prices\/cash\/?$/, function (req) {
+        return {
+            data: [{
+                cpt_code: req.query.cpt_code,
+                geo_zip_area: String(req.query.zip_code || '').slice(0, 3),
+                average: 28.08,
+                high_price: 39.00,
+                low_price: 22.00,
+                median_price: 28.00,
+                standard_deviation: 4.57
+            }]
+        };
+    }],
+    ['GET', /^\/prices\/insurance\/?$/, function (req) {
+        return {
+            data: {
+                cpt_code: req.query.cpt_code,
+                geo_zip_area: String(req.query.zip_code || '').slice(0, 3),
+                amounts: [
+                    {payment_type: 'allowed', average: 17.49, high_price: 23.68, low_price: 11.04, median_price: 17.84},
+                    {payment_type: 'submitted', average: 32.04, high_price: 46.50, low_price: 20.00, median_price: 30.00}
+                ]
+            }
+        };
+    }],
+    ['POST', /^\/claims\/?$/, function (req) {
+        return requireKeys(req.body, ['trading_partner_id']) || {
+            data: createActivity(req.mock, 'X12 837 claim', req.body)
+        };
+    }],
+    ['POST', /^\/claims\/convert\/?$/, function (req) {
+        var file = req.body && req.body.file;
+        if (!file || !file.content) {
+            return {statusCode: 422, body: errors({file: ['This field is required.']})};
+        }
+        if (file.content.replace(/^\s+/, '').indexOf('ISA') !== 0) {
+            return {statusCode: 422, body: errors({file: ['The file is not a valid X12 interchange.']})};
+        }
+        return {data: _.cloneDeep(req.mock.data.convertedClaim)};
+    }],
+    ['POST', /^\/claims\/status\/?$/, function (req) {
+        return requireKeys(req.body, ['trading_partner_id']) || {
+            data: {
+                correlation_id: crypto.randomBytes(16).toString('hex'),
+                trading_partner_id: req.body.trading_partner_id,
+                patient: _.extend({claims: [{
+                    tracking_id: req.body.tracking_id,
+                    service_date: req.body.service_date,
+                    service_end_date: req.body.service_end_date,
+                    statuses: [{status_category: 'Finalized/Payment', status_code: 'Processed according to contract provisions'}]
+                }]}, req.body.patient),
+                valid_request: true
+            }
+        };
+    }],
+    ['POST', /^\/eligibility\/?$/, function (req) {
+        return requireKeys(req.body, ['trading_partner_id']) || {
+            data: {
+                correlation_id: crypto.randomBytes(16).toString('hex'),
+                trading_partner_id: req.body.trading_partner_id,
+                subscriber: req.body.member,
+                provider: req.body.provider,
+                coverage: {
+                    active: true,
+                    plan_description: 'Mock Silver PPO',
+                    service_types: req.body.service_types || ['health_benefit_plan_coverage'],
+                    copay: [{copayment: {amount: '25', currency: 'USD'}, in_plan_network: 'yes'}]
+                },
+                valid_request: true
+            }
+        };
+    }],
+    ['POST', /^\/enrollment\/?$/, function (req) {
+        return requireKeys(req.body, ['trading_partner_id']) || {
+            data: createActivity(req.mock, 'X12 834 enrollment', req.body)
+        };
+    }],
+    ['POST', /^\/files\/?$/, function (req) {
+        var body = req.body || {};
+        // the file has to be a part of a multipart body, not a plain field of a form or a json body
+        if (!(body.file instanceof Object) || typeof body.file.content != 'string') {
+            return {statusCode: 400, body: errors({file: ['The submitted data was not a file.']})};
+        }
+        if (body.file.content.replace(/^\s+/, '').indexOf('ISA') !== 0) {
+            return {statusCode: 422, body: errors({file: ['The file is not a valid X12 interchange.']})};
+        }
+        return requireKeys(body, ['trading_partner_id']) || {
+            data: createActivity(req.mock, 'X12 ' + (body.file.content.match(/~\s*ST\*(\d+)/) || [0, ''])[1] + ' file', {
+                trading_partner_id: body.trading_partner_id
+            })
+        };
+    }],
+    ['GET', /^\/icd\/convert\/([^\/]+)$/, function (req, code) {
+        return {
+            data: {
+                source_scenarios: [{
+                    choice_lists: [{value: code, system: 'icd9'}]
+                }],
+                destination_scenarios: [{
+                    choice_lists: [{value: 'E10.65', system: 'icd10', description: 'Type 1 diabetes mellitus with hyperglycemia'}]
+                }]
+            }
+        };
+    }],
+    ['GET', /^\/mpc\/?$/, function (req) {
+        return page(req, req.mock.data.mpc);
+    }],
+    ['GET', /^\/mpc\/([^\/]+)$/, function (req, code) {
+        return listOrSingle(req.mock.data.mpc, 'code', code, true);
+    }],
+    ['GET', /^\/payers\/?$/, function (req) {
+        return {data: req.mock.data.payers};
+    }],
+    ['GET', /^\/plans\/?$/, function (req) {
+        return page(req, _.filter(req.mock.data.plans, function (plan) {
+            return _.every(['trading_partner_id', 'state', 'county', 'plan_id', 'plan_type', 'metallic_level'], function (key) {
+                return !req.query[key] || String(plan[key]).toLowerCase() === String(req.query[key]).toLowerCase();
+            });
+        }));
+    }],
+    ['GET', /^\/providers\/?$/, function (req) {
+        return page(req, req.mock.data.providers);
+    }],
+    ['GET', /^\/providers\/([^\/]+)$/, function (req, npi) {
+        var found = _.find(req.mock.data.providers, function (provider) {
+            return provider.provider.npi === npi;
+        });
+        if (!found) {
+            return {statusCode: 404, body: errors({query: ['npi ' + npi + ' was not found']})};
+        }
+        return {data: found};
+    }],
+    ['POST', /^\/referrals\/?$/, function (req) {
+        return requireKeys(req.body, ['trading_partner_id']) || {
+            data: {
+                correlation_id: crypto.randomBytes(16).toString('hex'),
+                trading_partner_id: req.body.trading_partner_id,
+                event: _.extend({review: {certification_action: 'certified_in_total'}}, req.body.event),
+                patient: req.body.patient,
+                provider: req.body.provider,
+                valid_request: true
+            }
+        };
+    }],
+    ['GET', /^\/schedule\/schedulers\/?([^\/]*)$/, function (req, uuid) {
+        return listOrSingle(req.mock.data.schedulers, 'scheduler_uuid', uuid);
+    }],
+    ['GET', /^\/schedule\/appointmenttypes\/?([^\/]*)$/, function (req, uuid) {
+        return listOrSingle(req.mock.data.appointmentTypes, 'appointment_type_uuid', uuid);
+    }],
+    ['GET', /^\/schedule\/appointments\/?([^\/]*)$/, function (req, uuid) {
+        return listOrSingle(req.mock.data.appointments, 'pd_appointment_uuid', uuid);
+    }],
+    ['PUT', /^\/schedule\/appointments\/([^\/]+)$/, function (req, uuid) {
+        var appointment = _.find(req.mock.data.appointments, {pd_appointment_uuid: uuid}) || {pd_appointment_uuid: uuid};
+        return {data: [_.extend(appointment, {booked: true}, req.body)]};
+    }],
+    ['DELETE', /^\/schedule\/appointments\/([^\/]+)$/, function (req, uuid) {
+        return {data: {}};
+    }],
+    ['POST', /^\/schedule\/patient\/?$/, function (req) {
+        return {
+            data: [{
+                uuid: req.body && req.body.pd_patient_uuid,
+                email: 'peg@emailprovider.com',
+                phone: '5553331122',
+                birth_date: '1990-01-13',
+                first_name: 'Peg',
+                last_name: 'Patient',
+                member_id: 'PD20150001'
+            }]
+        };
+    }],
+    ['POST', /^\/schedule\/slots\/?$/, function (req) {
+        var body = req.body || {};
+        return {
+            data: [{
+                pd_appointment_uuid: crypto.randomBytes(16).toString('hex'),
+                provider_scheduler_uuid: req.mock.data.schedulers[1].scheduler_uuid,
+                appointment_id: 'W4MEM00001',
+                appointment_type: body.appointment_type,
+                start_date: body.start_date,
+                end_date: body.end_date,
+                booked: false
+            }]
+        };
+    }],
+    ['DELETE', /^\/schedule\/slots\/([^\/]+)$/, function (req, uuid) {
+        return {data: {}};
+    }],
+    ['GET', /^\/identity\/?$/, function (req) {
+        return page(req, _.filter(req.mock.data.identities, function (identity) {
+            return _.every(_.omit(req.query, 'limit', 'offset'), function (value, key) {
+                return identity[key] === undefined || String(identity[key]).toLowerCase() === String(value).toLowerCase();
+            });
+        }));
+    }],
+    ['GET', /^\/identity\/([^\/]+)$/, function (req, uuid) {
+        return listOrSingle(req.mock.data.identities, 'uuid', uuid);
+    }],
+    ['PUT', /^\/identity\/([^\/]+)$/, function (req, uuid) {
+        var result = listOrSingle(req.mock.data.identities, 'uuid', uuid, true);
+        if (result.data) {
+            _.extend(result.data, req.body);
+        }
+        return result;
+    }],
+    ['POST', /^\/identity\/?$/, function (req) {
+        var identity = _.extend({}, req.body, {uuid: crypto.randomBytes(16).toString('hex')});
+        req.mock.data.identities.push(identity);
+        return {data: identity};
+    }],
+    ['GET', /^\/tradingpartners\/?([^\/]*)$/, function (req, id) {
+        return listOrSingle(req.mock.data.tradingPartners, 'id', id, true);
+    }]
+];
+
+/**
+ * A local HTTP stand-in for the PokitDok Platform. It issues access tokens from `/oauth2/token` and answers every
+ * endpoint the client wraps with canned data, including expiring tokens with a 401 so the refresh and retry path can be
+ * exercised. Authorization requests to `/oauth2/authorize` are approved right away and redirected with a code, which
+ * can be exchanged for an access and refresh token. Point a connection at it with the `baseUrl` option.
+ * @name MockPokitDok
+ * @param {object} [options] - keys: `clientId`, `clientSecret`, `expiresIn`. When a client id and secret are given,
+ * only those credentials are issued tokens. Tokens expire after `expiresIn` seconds, defaulting to an hour.
+ * @constructor
+ * @example
+ *  ```js
+ *  // run the client against a local mock platform
+ *  var PokitDok = require('pokitdok-nodejs');
+ *  var MockPokitDok = require('pokitdok-nodejs/mock');
+ *  var mock = new MockPokitDok();
+ *  mock.listen(0, function (err) {
+ *      var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+ *      pokitdok.tradingPartners(function (err, res) {
+ *          console.log(res.data);
+ *          mock.close();
+ *      });
+ *  });
+ *  ```
+ */
+function MockPokitDok(options) {
+    options = options || {};
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.expiresIn = options.expiresIn || 3600;
+    this.data = _.cloneDeep(fixtures);
+    this.tokens = {};
+    this.codes = {};
+    this.refreshTokens = {};
+    this.requests = [];
+    this.failures = [];
+    this.plays = {};
+    this.url = null;
+    this.server = http.createServer(this.handle.bind(this));
+}
+
+/**
+ * Start listening for requests. Once listening, `mock.url` holds the base url to hand to a connection.
+ * @param {number} [port] - the port to listen on, defaults to a random free port
+ * @param {function} [callback] - called with an error, or null and the base url
+ */
+MockPokitDok.prototype.listen = function (port, callback) {
+    var self = this;
+    if (port instanceof Function) {
+        callback = port;
+        port = 0;
+    }
+    self.server.once('error', function (err) {
+        callback && callback(err);
+    });
+    self.server.listen(port || 0, '127.0.0.1', function () {
+        self.url = 'http://127.0.0.1:' + self.server.address().port;
+        callback && callback(null, self.url);
+    });
+    return self;
+};
+
+/**
+ * Stop listening for requests.
+ * @param {function} [callback] - called once the server is closed
+ */
+MockPokitDok.prototype.close = function (callback) {
+    this.server.close(function () {
+        callback && callback();
+    });
+};
+
+/**
+ * Expire every access token issued so far. The next request made with one of them receives a 401, the same as an
+ * expired token on the platform.
+ */
+MockPokitDok.prototype.expireTokens = function () {
+    this.tokens = {};
+};
+
+/**
+ * Fail the next api requests, the same as an overloaded or unreachable platform. Token requests are not affected.
+ * @param {number} [count] - the number of requests to fail, defaults to 1
+ * @param {object} [failure] - keys: `statusCode`, `headers`, `body`, `drop`. The status code defaults to 503. When
+ * `drop` is set the connection is closed without a response instead.
+ * @example
+ *  ```js
+ *  // answer the next two requests with a 429 that asks to wait a second
+ *  mock.failNext(2, {statusCode: 429, headers: {'Retry-After': '1'}});
+ *  ```
+ */
+MockPokitDok.prototype.failNext = function (count, failure) {
+    if (count instanceof Object) {
+        failure = count;
+        count = 1;
+    }
+    for (var i = 0; i < (count || 1); i++) {
+        this.failures.push(failure || {});
+    }
+    return this;
+};
+
+/**
+ * Play out the states of an activity: every time the activity is fetched, it moves on to the next of the given states
+ * first, the same as an activity the platform works on. A state is the name of a state, such as `completed`, or an
+ * object with the `name` and other fields to set on the activity, such as its `result`.
+ * @param {string} id - the id of the activity
+ * @param {Array} states - the states, in order
+ * @example
+ *  ```js
+ *  // let the next claim complete on the second poll
+ *  mock.playActivity(activityId, ['submit', {name: 'completed', result: {claim_id: '1234'}}]);
+ *  ```
+ */
+MockPokitDok.prototype.playActivity = function (id, states) {
+    this.plays[id] = _.map(states, function (state) {
+        return typeof state == 'string' ? {name: state} : state;
+    });
+    return this;
+};
+
+// approve an authorization request right away, the same as a user that allows the app on the platform, and send the
+// user back to the redirect uri with a code
+MockPokitDok.prototype.authorizeUser = function (req, res) {
+    var code = crypto.randomBytes(10).toString('hex'),
+        redirectUri = req.query.redirect_uri;
+    if (req.query.response_type !== 'code' || !redirectUri) {
+        return this.send(res, 400, {error: 'invalid_request'});
+    }
+    if (this.clientId && req.query.client_id !== this.clientId) {
+        return this.send(res, 400, {error: 'unauthorized_client'});
+    }
+    this.codes[code] = {redirectUri: redirectUri, scope: req.query.scope || ''};
+    res.writeHead(302, {
+        'Location': redirectUri + (redirectUri.indexOf('?') < 0 ? '?' : '&') + querystring.stringify(_.omit({
+            code: code,
+            state: req.query.state
+        }, _.isUndefined))
+    });
+    res.end();
+};
+
+// issue an access token for the client credentials, authorization code and refresh token grants. Tokens of the last
+// two grants come with a refresh token, which is replaced every time it is used.
+MockPokitDok.prototype.issueToken = function (req, res) {
+    var credentials = new Buffer((req.headers.authorization || '').replace(/^Basic /, ''), 'base64').toString().split(':'),
+        form = querystring.parse(req.rawBody.toString()),
+        grant = null,
+        accessToken,
+        token;
+    if (!_.includes(['client_credentials', 'authorization_code', 'refresh_token'], form.grant_type)) {
+        return this.send(res, 400, {error: 'unsupported_grant_type'});
+    }
+    if ((this.clientId && credentials[0] !== this.clientId) || (this.clientSecret && credentials[1] !== this.clientSecret)) {
+        return this.send(res, 401, {error: 'invalid_client'});
+    }
+    if (form.grant_type == 'authorization_code') {
+        grant = this.codes[form.code];
+        delete this.codes[form.code];
+        if (!grant || (form.redirect_uri && form.redirect_uri !== grant.redirectUri)) {
+            return this.send(res, 400, {error: 'invalid_grant'});
+        }
+    }
+    if (form.grant_type == 'refresh_token') {
+        grant = this.refreshTokens[form.refresh_token];
+        delete this.refreshTokens[form.refresh_token];
+        if (!grant) {
+            return this.send(res, 400, {error: 'invalid_grant'});
+        }
+    }
+    accessToken = crypto.randomBytes(20).toString('hex');
+    this.tokens[accessToken] = Date.now() + this.expiresIn * 1000;
+    token = {
+        access_token: accessToken,
+        token_type: 'bearer',
+        expires_in: this.expiresIn,
+        scope: grant ? grant.scope : ''
+    };
+    if (grant) {
+        token.refresh_token = crypto.randomBytes(20).toString('hex');
+        this.refreshTokens[token.refresh_token] = {scope: grant.scope};
+    }
+    this.send(res, 200, token);
+};
+
+// check the bearer token on an api request
+MockPokitDok.prototype.authorized = function (req) {
+    var accessToken = (req.headers.authorization || '').replace(/^Bearer /, ''),
+        expires = this.tokens[accessToken];
+    return expires && expires > Date.now();
+};
+
+// write a response, serializing objects as JSON
+MockPokitDok.prototype.send = function (res, statusCode, body, headers) {
+    var json = typeof body != 'string';
+    res.writeHead(statusCode, _.extend({
+        'Content-Type': json ? 'application/json' : 'text/plain'
+    }, headers));
+    res.end(json ? JSON.stringify(body) : body);
+};
+
+// route an incoming request once its body has been read
+MockPokitDok.prototype.route = function (req, res) {
+    var parsed = url.parse(req.url, true),
+        match = parsed.pathname.match(/^\/api\/[^\/]+(\/.*)$/),
+        failure = null,
+        result = null;
+    req.query = parsed.query;
+    req.mock = this;
+    this.requests.push({
+        method: req.method,
+        path: parsed.pathname,
+        query: parsed.query,
+        headers: req.headers,
+        body: req.body
+    });
+    if (req.method == 'POST' && parsed.pathname == '/oauth2/token') {
+        return this.issueToken(req, res);
+    }
+    if (req.method == 'GET' && parsed.pathname == '/oauth2/authorize') {
+        return this.authorizeUser(req, res);
+    }
+    if (!match) {
+        return this.send(res, 404, 'Not Found');
+    }
+    if (this.failures.length) {
+        failure = this.failures.shift();
+        if (failure.drop) {
+            return req.socket.destroy();
+        }
+        return this.send(res, failure.statusCode || 503, failure.body || 'Service Unavailable', failure.headers);
+    }
+    if (!this.authorized(req)) {
+        return this.send(res, 401, 'Unauthorized');
+    }
+    _.find(routes, function (route) {
+        var params = route[0] == req.method && match[1].match(route[1]);
+        if (params) {
+            result = route[2].apply(null, [req].concat(params.slice(1)));
+        }
+        return params;
+    });
+    if (!result) {
+        return this.send(res, 404, errors({path: ['No endpoint found for ' + req.method + ' ' + match[1]]}));
+    }
+    if (result.statusCode) {
+        return this.send(res, result.statusCode, result.body);
+    }
+    this.send(res, 200, envelope(result.data, result.meta));
+};
+
+// read the request body and hand the request to the router
+MockPokitDok.prototype.handle = function (req, res) {
+    var self = this,
+        chunks = [];
+    req.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    req.on('end', function () {
+        req.rawBody = Buffer.concat(chunks);
+        req.body = null;
+        if (/multipart\/form-data/.test(req.headers['content-type'])) {
+            req.body = parseMultipart(req.headers['content-type'], req.rawBody);
+        }
+        if (/application\/json/.test(req.headers['content-type']) && req.rawBody.length) {
+            try {
+                req.body = JSON.parse(req.rawBody.toString());
+            } catch (err) {
+                return self.send(res, 400, errors({json: ['Malformed JSON body']}));
+            }
+        }
+        self.route(req, res);
+    });
+};
+
+// expose the fixtures so applications can build assertions on the canned data
+MockPokitDok.fixtures = fixtures;
+
+// expose the constructor
+module.exports = MockPokitDok;
@@ -0,0 +1,256 @@
+var assert = require('assert'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    claimDocument = require('./fixtures').claimDocument;
+
+// AbortController is only global from Node 15 on, so the tests with a signal are skipped on older versions
+var itWithAbort = typeof AbortController == 'undefined' ? it.skip : it;
+
+describe('waitForActivity', function () {
+    var mock = new MockPokitDok(),
+        pokitdok;
+
+    // the polls of an activity, without the token requests
+    var polls = function (id) {
+        return _.filter(mock.requests, {method: 'GET', path: '/api/v4/activities/' + id}).length;
+    };
+
+    before(function (done) {
+        mock.listen(function () {
+            pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            done();
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.requests = [];
+    });
+
+    it('should poll the activity of a submission until it completes', function (done) {
+        var id;
+        pokitdok.claims(claimDocument()).then(function (res) {
+            id = res.data.id;
+            mock.playActivity(id, ['scheduled', 'submit', {name: 'completed', result: {claim_id: '1234'}}]);
+            return pokitdok.waitForActivity(res, {minDelay: 5});
+        }).then(function (activity) {
+            assert.equal(activity.id, id);
+            assert.equal(activity.state.name, 'completed');
+            assert.deepEqual(activity.result, {claim_id: '1234'});
+            assert.equal(activity.units_of_work, 1);
+            assert.equal(polls(id), 3);
+        }).then(done, done);
+    });
+
+    it('should back off between polls up to the maximum delay', function (done) {
+        var id = MockPokitDok.fixtures.activities[0].id,
+            started = Date.now();
+        mock.playActivity(id, ['scheduled', 'scheduled', 'scheduled', 'failed']);
+        pokitdok.waitForActivity(id, {minDelay: 20, maxDelay: 40}, function (err, activity) {
+            assert.equal(err, null);
+            assert.equal(activity.state.name, 'failed');
+            // 20, 40 and 40 milliseconds between the four polls
+            assert.equal(Date.now() - started >= 100, true);
+            assert.equal(polls(id), 4);
+            done();
+        });
+    });
+
+    it('should resolve right away with an activity that has already finished', function (done) {
+        var activity = MockPokitDok.fixtures.activities[1];
+        pokitdok.waitForActivity(activity).then(function (result) {
+            assert.equal(result.state.name, 'completed');
+            assert.equal(polls(activity.id), 1);
+        }).then(done, done);
+    });
+
+    it('should fail with a TimeoutError that holds the last state seen', function (done) {
+        var id = MockPokitDok.fixtures.activities[0].id;
+        mock.playActivity(id, ['submit']);
+        pokitdok.waitForActivity(id, {minDelay: 200, timeout: 50}).then(function () {
+            throw new Error('expected the wait to time out');
+        }, function (err) {
+            assert.equal(err instanceof PokitDok.errors.TimeoutError, true);
+            assert.equal(err.message, 'Activity ' + id + ' did not finish within 50 ms');
+            assert.equal(err.activity.state.name, 'submit');
+            assert.equal(polls(id), 1);
+        }).then(done, done);
+    });
+
+    itWithAbort('should stop waiting when the signal aborts', function (done) {
+        var id = MockPokitDok.fixtures.activities[0].id,
+            controller = new AbortController();
+        mock.playActivity(id, ['scheduled']);
+        pokitdok.waitForActivity(id, {minDelay: 200, signal: controller.signal}, function (err) {
+            assert.equal(err instanceof PokitDok.errors.AbortError, true);
+            assert.equal(err.activity.id, id);
+            assert.equal(polls(id), 1);
+            done();
+        });
+        setTimeout(function () {
+            controller.abort();
+        }, 50);
+    });
+
+    itWithAbort('should not poll with a signal that already aborted', function (done) {
+        var controller = new AbortController();
+        controller.abort();
+        pokitdok.waitForActivity('5317f51527a27620f2ec7533', {signal: controller.signal}, function (err) {
+            assert.equal(err instanceof PokitDok.errors.AbortError, true);
+            assert.equal(mock.requests.length, 0);
+            done();
+        });
+    });
+
+    it('should fail with the error of a poll', function (done) {
+        pokitdok.waitForActivity('unknown', function (err) {
+            assert.equal(err.statusCode, 404);
+            done();
+        });
+    });
+
+    it('should fail without an activity id', function (done) {
+        pokitdok.waitForActivity({data: {}}, function (err) {
+            assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+            assert.equal(mock.requests.length, 0);
+            done();
+        });
+    });
+});
+
+describe('transitionActivities', function () {
+    var mock = new MockPokitDok(),
+        pokitdok,
+        claimIds;
+
+    // the transitions sent, as `id transition`
+    var transitions = function () {
+        return _.map(_.filter(mock.requests, {method: 'PUT'}), function (req) {
+            return _.last(req.path.split('/')) + ' ' + req.body.transition;
+        });
+    };
+
+    before(function (done) {
+        mock.listen(function () {
+            pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            Promise.all(_.times(3, function () {
+                return pokitdok.claims(claimDocument());
+            })).then(function (responses) {
+                claimIds = _.pluck(_.pluck(responses, 'data'), 'id');
+            }).then(done, done);
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.requests = [];
+    });
+
+    it('should only report the matching activities in a dry run', function (done) {
+        pokitdok.transitionActivities({name: /837/, state: ['init', 'scheduled']}, 'pause', {dryRun: true,
+            pageSize: 2}).then(function (report) {
+            assert.equal(report.transition, 'pause');
+            assert.equal(report.dryRun, true);
+            assert.deepEqual(_.pluck(report.results, 'id'),
+                [MockPokitDok.fixtures.activities[0].id].concat(claimIds));
+            assert.deepEqual(_.uniq(_.pluck(report.results, 'outcome')), ['dry_run']);
+            assert.deepEqual(transitions(), []);
+        }).then(done, done);
+    });
+
+    it('should pause and resume the activities of a trading partner', function (done) {
+        var filter = {trading_partner_id: 'MOCKPAYER', state: 'init'};
+        pokitdok.transitionActivities(filter, 'pause', {concurrency: 2}).then(function (report) {
+            assert.deepEqual(_.pluck(report.results, 'id'), claimIds);
+            assert.deepEqual(_.uniq(_.pluck(report.results, 'outcome')), ['transitioned']);
+            assert.deepEqual(_.uniq(_.pluck(_.pluck(_.pluck(report.results, 'activity'), 'state'), 'name')),
+                ['paused']);
+            assert.deepEqual(transitions().sort(), _.map(claimIds, function (id) {
+                return id + ' pause';
+            }).sort());
+            return pokitdok.transitionActivities({state: 'paused'}, 'resume');
+        }).then(function (report) {
+            assert.deepEqual(_.pluck(report.results, 'id'), claimIds);
+            assert.deepEqual(_.uniq(_.pluck(_.pluck(_.pluck(report.results, 'activity'), 'state'), 'name')),
+                ['scheduled']);
+        }).then(done, done);
+    });
+
+    it('should skip finished activities and select activities by their creation date', function (done) {
+        pokitdok.transitionActivities({since: '2014-07-01', until: '2014-08-01'}, 'cancel', function (err, report) {
+            assert.equal(err, null);
+            assert.deepEqual(report.results, [{id: MockPokitDok.fixtures.activities[1].id,
+                name: 'X12 270 eligibility', state: 'completed', outcome: 'skipped'}]);
+            assert.deepEqual(transitions(), []);
+            done();
+        });
+    });
+
+    it('should report the failed transitions and go on with the others', function (done) {
+        var failed = false;
+        pokitdok.use({
+            before: function (options) {
+                if (options.method == 'PUT' && !failed) {
+                    failed = true;
+                    mock.failNext(1, {statusCode: 404, body: 'Not Found'});
+                }
+            }
+        });
+        pokitdok.transitionActivities({state: 'scheduled', name: 'X12 837 claim'}, 'cancel', {concurrency: 1},
+            function (err, report) {
+                assert.equal(err, null);
+                assert.deepEqual(_.pluck(report.results, 'outcome'), ['failed', 'transitioned', 'transitioned',
+                    'transitioned']);
+                assert.equal(report.results[0].error.statusCode, 404);
+                assert.equal(transitions().length, 4);
+                done();
+            });
+    });
+
+    it('should finish the transitions already sent when the list fails part way', function (done) {
+        var pages = 0,
+            connection = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+        connection.use({
+            // the error of a hook fails the request, without touching the transitions in flight
+            before: function (options) {
+                if (options.method == 'GET' && options.path == '/activities/' && ++pages == 2) {
+                    throw new Error('list unavailable');
+                }
+            }
+        });
+        connection.transitionActivities({}, 'pause', {pageSize: 2}, function (err, report) {
+            assert.equal(err.message, 'list unavailable');
+            assert.equal(report, undefined);
+            assert.deepEqual(_.pluck(err.results, 'id'), _.pluck(MockPokitDok.fixtures.activities, 'id'));
+            assert.deepEqual(_.pluck(err.results, 'outcome'), ['transitioned', 'skipped']);
+            assert.equal(err.results[0].activity.state.name, 'paused');
+            assert.equal(pages, 2);
+            done();
+        });
+    });
+
+    it('should fail when the list can not be read', function (done) {
+        mock.failNext(1, {statusCode: 404, body: 'Not Found'});
+        pokitdok.transitionActivities({}, 'pause', function (err, report) {
+            assert.equal(err.statusCode, 404);
+            assert.equal(report, undefined);
+            done();
+        });
+    });
+
+    it('should refuse unknown transitions', function (done) {
+        pokitdok.transitionActivities({}, 'complete').then(function () {
+            throw new Error('expected the transition to be refused');
+        }, function (err) {
+            assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+            assert.equal(mock.requests.length, 0);
+        }).then(done, done);
+    });
+});
@@ -0,0 +1,149 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    stream = require('stream'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    fixtures = require('./fixtures');
+
+// a private function for the shared eligibility request of a member, without a trading partner for an invalid request
+var eligibilityRequest = function (memberId, tradingPartnerId) {
+    var request = fixtures.eligibilityRequest();
+    request.member.id = memberId;
+    return tradingPartnerId ? request : _.omit(request, 'trading_partner_id');
+};
+
+describe('batchEligibility', function () {
+    var mock = new MockPokitDok(),
+        checkpointPath = path.join(os.tmpdir(), 'pokitdok-eligibility-' + process.pid + '.json'),
+        pokitdok,
+        inFlight = 0,
+        mostInFlight = 0;
+
+    // the member ids of the eligibility requests sent
+    var membersSent = function () {
+        return _.map(_.filter(mock.requests, {method: 'POST', path: '/api/v4/eligibility/'}), function (req) {
+            return req.body.member.id;
+        });
+    };
+
+    before(function (done) {
+        mock.listen(function () {
+            pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            // requests that fail validation are never sent, but still get to the after hooks
+            pokitdok.use({
+                before: function () {
+                    mostInFlight = Math.max(mostInFlight, ++inFlight);
+                },
+                after: function (result) {
+                    inFlight -= result.sends ? 1 : 0;
+                }
+            });
+            done();
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.requests = [];
+        mostInFlight = 0;
+    });
+
+    afterEach(function (done) {
+        fs.unlink(checkpointPath, function () {
+            done();
+        });
+    });
+
+    it('should check every member with bounded concurrency and keep the failures apart', function (done) {
+        var requests = [eligibilityRequest('W000000001', 'MOCKPAYER'), eligibilityRequest('W000000002'),
+            eligibilityRequest('W000000003', 'MOCKPAYER'), eligibilityRequest('W000000004', 'MOCKPAYER'),
+            eligibilityRequest('W000000005', 'MOCKPAYER')];
+        pokitdok.batchEligibility(requests, {concurrency: 2}).then(function (batch) {
+            assert.deepEqual(_.pluck(batch.succeeded, 'index'), [0, 2, 3, 4]);
+            assert.deepEqual(_.pluck(batch.succeeded, 'input'), [requests[0], requests[2], requests[3], requests[4]]);
+            assert.equal(batch.succeeded[3].data.subscriber.id, 'W000000005');
+            assert.equal(batch.succeeded[3].data.coverage.active, true);
+            assert.equal(batch.failed.length, 1);
+            assert.equal(batch.failed[0].index, 1);
+            assert.equal(batch.failed[0].input, requests[1]);
+            assert.equal(batch.failed[0].error instanceof PokitDok.errors.ValidationError, true);
+            assert.equal(mostInFlight, 2);
+            assert.deepEqual(membersSent().sort(), ['W000000001', 'W000000003', 'W000000004', 'W000000005']);
+        }).then(done, done);
+    });
+
+    it('should read the requests from a stream', function (done) {
+        var requests = new stream.PassThrough({objectMode: true});
+        pokitdok.batchEligibility(requests, {concurrency: 3}, function (err, batch) {
+            assert.equal(err, null);
+            assert.deepEqual(_.pluck(_.pluck(_.pluck(batch.succeeded, 'input'), 'member'), 'id'),
+                _.map(_.range(1, 9), function (n) {
+                    return 'W00000000' + n;
+                }));
+            assert.deepEqual(batch.failed, []);
+            assert.equal(mostInFlight <= 3, true);
+            done();
+        });
+        _.each(_.range(1, 9), function (n) {
+            requests.write(eligibilityRequest('W00000000' + n, 'MOCKPAYER'));
+        });
+        requests.end();
+    });
+
+    it('should resume from the checkpoint without checking members again', function (done) {
+        var requests = [eligibilityRequest('W000000001', 'MOCKPAYER'), eligibilityRequest('W000000002'),
+            eligibilityRequest('W000000003', 'MOCKPAYER')],
+            firstRun;
+        pokitdok.batchEligibility(requests, {checkpoint: checkpointPath}).then(function (batch) {
+            firstRun = batch;
+            assert.equal(batch.failed.length, 1);
+            assert.equal(fs.statSync(checkpointPath).mode & parseInt('777', 8), parseInt('600', 8));
+            assert.equal(_.keys(JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).results).length, 2);
+            mock.requests = [];
+            // the invalid request is fixed for the second run
+            requests[1] = eligibilityRequest('W000000002', 'MOCKPAYER');
+            return pokitdok.batchEligibility(requests, {checkpoint: checkpointPath});
+        }).then(function (batch) {
+            assert.deepEqual(membersSent(), ['W000000002']);
+            assert.deepEqual(_.pluck(batch.succeeded, 'resumed'), [true, undefined, true]);
+            assert.deepEqual(batch.succeeded[0].data, firstRun.succeeded[0].data);
+            assert.deepEqual(batch.failed, []);
+            // a run without failures leaves no checkpoint behind
+            assert.equal(fs.existsSync(checkpointPath), false);
+        }).then(done, done);
+    });
+
+    it('should identify requests in the checkpoint by the given key', function (done) {
+        var requests = [eligibilityRequest('W000000001', 'MOCKPAYER'), eligibilityRequest('W000000002')],
+            key = function (request) {
+                return request.member.id;
+            };
+        fs.writeFileSync(checkpointPath, JSON.stringify({results: {W000000001: {data: {valid_request: true}}}}));
+        pokitdok.batchEligibility(requests, {checkpoint: checkpointPath, key: key}, function (err, batch) {
+            assert.equal(err, null);
+            assert.deepEqual(batch.succeeded, [{index: 0, input: requests[0], data: {valid_request: true},
+                resumed: true}]);
+            assert.equal(batch.failed.length, 1);
+            assert.deepEqual(membersSent(), []);
+            assert.deepEqual(_.keys(JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).results), ['W000000001']);
+            done();
+        });
+    });
+
+    it('should fail with a checkpoint that can not be read', function (done) {
+        fs.writeFileSync(checkpointPath, '{"results": ');
+        pokitdok.batchEligibility([eligibilityRequest('W000000001', 'MOCKPAYER')], {checkpoint: checkpointPath})
+            .then(function () {
+                throw new Error('expected the checkpoint to be refused');
+            }, function (err) {
+                assert.equal(err instanceof SyntaxError, true);
+                assert.deepEqual(membersSent(), []);
+            }).then(done, done);
+    });
+});
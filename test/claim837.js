@@ -0,0 +1,161 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    x12 = PokitDok.x12,
+    claim837 = PokitDok.claim837,
+    claimDocument = require('./fixtures').claimDocument;
+
+var interchangeOptions = {
+    senderId: '9012345720000',
+    senderQualifier: '01',
+    receiverId: '9088877320000',
+    receiverQualifier: '01',
+    interchangeControlNumber: 7,
+    groupControlNumber: 7,
+    date: new Date(2015, 9, 4, 22, 35),
+    reference: '2KYXDRE61GU20TFMBPA',
+    submitter: {name: 'Pokitdok, Inc.', id: '12345', email: 'x12info@pokitdok.com'},
+    receiver: {id: '12345'}
+};
+
+// list the segments of a transaction set as strings without their terminators
+var segments = function (transaction) {
+    return transaction.segments.map(function (segment) {
+        return segment.toString().slice(0, -1);
+    });
+};
+
+describe('claim837', function () {
+    describe('#toX12()', function () {
+        it('should write a valid interchange', function () {
+            var parsed = x12.parse(claim837.toX12(claimDocument(), interchangeOptions)),
+                interchange = parsed.interchanges[0];
+            assert.deepEqual(parsed.errors, []);
+            assert.equal(interchange.senderQualifier, '01');
+            assert.equal(interchange.senderId, '9012345720000');
+            assert.equal(interchange.receiverId, '9088877320000');
+            assert.equal(interchange.controlNumber, '000000007');
+            assert.equal(interchange.groups[0].controlNumber, '7');
+            assert.equal(interchange.groups[0].version, '005010X222A1');
+            assert.equal(interchange.header.element(9), '151004');
+            assert.equal(interchange.header.element(10), '2235');
+        });
+
+        it('should write the same claim loops as test_claim.837', function () {
+            var written = segments(x12.transactions(x12.parse(claim837.toX12(claimDocument(), interchangeOptions)))[0]),
+                original = segments(x12.transactions(x12.parse(fs.readFileSync(__dirname + '/../test_claim.837')))[0]);
+            // the original was written for 005010X222 and with a longer patient control number and a decimal unit count
+            assert.deepEqual(written.slice(2, 18), original.slice(2, 18));
+            assert.equal(written[18], 'CLM*0f17b46dd39a4bb0add1*60***11:B:1*Y*A*Y*I');
+            assert.deepEqual(written.slice(19, 21), original.slice(19, 21));
+            assert.equal(written[21], 'SV1*HC:99213*60*UN*1***1');
+            assert.deepEqual(written.slice(22), original.slice(22));
+        });
+
+        it('should use ICD-10 qualifiers and diagnosis pointers for later service dates', function () {
+            var document = claimDocument();
+            document.claim.total_charge_amount = 160;
+            document.claim.service_lines = [
+                {procedure_code: '99213', charge_amount: 60, diagnosis_codes: ['J10.1', 'R50.9'], service_date: '2016-03-01'},
+                {procedure_code: '87804', procedure_modifier_codes: ['QW'], charge_amount: 100, unit_count: 2,
+                    diagnosis_codes: ['R50.9'], service_date: '2016-03-01', service_end_date: '2016-03-02'}
+            ];
+            var written = segments(x12.transactions(x12.parse(claim837.toX12(document)))[0]);
+            assert.notEqual(written.indexOf('HI*ABK:J101*ABF:R509'), -1);
+            assert.notEqual(written.indexOf('SV1*HC:99213*60*UN*1***1:2'), -1);
+            assert.notEqual(written.indexOf('SV1*HC:87804:QW*100*UN*2***2'), -1);
+            assert.notEqual(written.indexOf('DTP*472*RD8*20160301-20160302'), -1);
+        });
+
+        it('should write a patient loop for a dependent', function () {
+            var document = claimDocument();
+            document.patient = {first_name: 'Jimmy', last_name: 'Doe', birth_date: '2005-02-03', gender: 'male', relationship: 'child'};
+            var written = segments(x12.transactions(x12.parse(claim837.toX12(document)))[0]);
+            assert.notEqual(written.indexOf('HL*2*1*22*1'), -1);
+            assert.notEqual(written.indexOf('SBR*P********ZZ'), -1);
+            assert.notEqual(written.indexOf('HL*3*2*23*0'), -1);
+            assert.notEqual(written.indexOf('PAT*19'), -1);
+            assert.notEqual(written.indexOf('NM1*QC*1*Doe*Jimmy'), -1);
+            assert.notEqual(written.indexOf('DMG*D8*20050203*M'), -1);
+        });
+
+        it('should write a transaction set per document', function () {
+            var parsed = x12.parse(claim837.toX12([claimDocument(), claimDocument()], {transactionControlNumber: 41}));
+            assert.deepEqual(parsed.errors, []);
+            assert.deepEqual(x12.transactions(parsed).map(function (transaction) {
+                return transaction.controlNumber;
+            }), ['0041', '0042']);
+        });
+
+        it('should replace separators in element data', function () {
+            var document = claimDocument();
+            document.subscriber.address.address_lines = ['123 N MAIN ST*APT 4~B'];
+            var parsed = x12.parse(claim837.toX12(document));
+            assert.deepEqual(parsed.errors, []);
+            assert.notEqual(segments(x12.transactions(parsed)[0]).indexOf('N3*123 N MAIN ST APT 4 B'), -1);
+        });
+
+        it('should throw for a document without the required parts', function () {
+            var document = claimDocument();
+            delete document.billing_provider;
+            assert.throws(function () {
+                claim837.toX12(document);
+            }, /billing_provider\.npi/);
+        });
+
+        it('should throw for a claim without diagnosis codes', function () {
+            var document = claimDocument();
+            _.each(document.claim.service_lines, function (line) {
+                delete line.diagnosis_codes;
+            });
+            assert.throws(function () {
+                claim837.toX12(document);
+            }, /at least one diagnosis code/);
+        });
+    });
+
+    describe('#fromX12()', function () {
+        it('should read test_claim.837 into the claims document it was created from', function () {
+            var result = claim837.fromX12(fs.readFileSync(__dirname + '/../test_claim.837')),
+                document = claimDocument();
+            // the original has a longer patient control number
+            document.claim.patient_control_number = '0f17b46dd39a4bb0add152e99633adbc';
+            assert.equal(result.claims.length, 1);
+            assert.deepEqual(result.claims[0], document);
+            assert.deepEqual(result.unmapped, []);
+            assert.deepEqual(_.pluck(result.errors, 'code'), ['GE_CONTROL_NUMBER_MISMATCH', 'IEA_CONTROL_NUMBER_MISMATCH']);
+        });
+
+        it('should read back the documents written by toX12', function () {
+            var first = claimDocument(),
+                second = claimDocument();
+            second.patient = {first_name: 'Jimmy', last_name: 'Doe', birth_date: '2005-02-03', gender: 'male', relationship: 'child'};
+            second.subscriber.group_number = 'G1234';
+            second.subscriber.payer_responsibility = 'secondary';
+            second.claim.claim_filing_code = 'CI';
+            second.claim.place_of_service = 'outpatient_hospital';
+            second.claim.total_charge_amount = 160;
+            second.claim.service_lines = [
+                {procedure_code: '99213', charge_amount: 60, unit_count: 1, diagnosis_codes: ['J10.1', 'R50.9'],
+                    service_date: '2016-03-01'},
+                {procedure_code: '87804', procedure_modifier_codes: ['QW'], charge_amount: 100, unit_count: 2,
+                    diagnosis_codes: ['R50.9'], service_date: '2016-03-01', service_end_date: '2016-03-02'}
+            ];
+            var result = claim837.fromX12(claim837.toX12([first, second]));
+            assert.deepEqual(result.errors, []);
+            assert.deepEqual(result.unmapped, []);
+            assert.deepEqual(result.claims, [first, second]);
+        });
+
+        it('should flag segments it could not map', function () {
+            var content = claim837.toX12(claimDocument()).replace('~LX*1~', '~REF*G1*AUTH123~LX*1~'),
+                result = claim837.fromX12(content);
+            assert.equal(result.claims.length, 1);
+            assert.equal(result.unmapped.length, 1);
+            assert.equal(result.unmapped[0].segment, 'REF');
+            assert.equal(result.unmapped[0].value, 'REF*G1*AUTH123~');
+            assert.equal(result.unmapped[0].claim, 0);
+        });
+    });
+});
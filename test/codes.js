@@ -0,0 +1,110 @@
+var assert = require('assert'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    codes = PokitDok.codes;
+
+describe('codes', function () {
+    it('should detect the code system of a code', function () {
+        assert.deepEqual(_.map(['99213', ' 99213 ', '0001F', '0042T', 'J1100', 'j10.1', 'J101', '487.1', '4871',
+            'E880.9', 'flu', '', null], function (code) {
+            return codes.detect(code);
+        }), ['cpt', 'cpt', 'cpt', 'cpt', 'hcpcs', 'icd10', 'icd10', 'icd9', 'icd9', 'icd9', null, null, null]);
+    });
+
+    it('should detect codes among the systems of a kind of code', function () {
+        assert.equal(codes.detect('J1100', codes.DIAGNOSIS_SYSTEMS), 'icd10');
+        assert.equal(codes.detect('48710', codes.DIAGNOSIS_SYSTEMS), 'icd9');
+        assert.equal(codes.detect('487.1', codes.PROCEDURE_SYSTEMS), null);
+    });
+
+    it('should check the exact format of a code', function () {
+        assert.equal(codes.isValid('99213', 'cpt'), true);
+        assert.equal(codes.isValid('99213 ', 'cpt'), false);
+        assert.equal(codes.isValid('W1234', 'hcpcs'), false);
+        assert.equal(codes.isValid('S72.001A', 'icd10'), true);
+        assert.equal(codes.isValid('S72.001AB', 'icd10'), false);
+        assert.equal(codes.isValid('V70.0', 'icd9'), true);
+        assert.equal(codes.isValid('487.123', 'icd9'), false);
+        assert.equal(codes.isValid(99213, 'cpt'), false);
+        assert.equal(codes.isValid('99213', 'snomed'), false);
+    });
+
+    it('should write ICD codes with the dot after their category', function () {
+        var diagnoses = ['4871', '487.1', ' 487 ', 'v700', 'E8809', 'j101', 'S72001A', 'J10.1'];
+        assert.deepEqual(_.map(diagnoses, function (code) {
+            return codes.normalize(code, codes.DIAGNOSIS_SYSTEMS);
+        }), ['487.1', '487.1', '487', 'V70.0', 'E88.09', 'J10.1', 'S72.001A', 'J10.1']);
+        assert.equal(codes.normalize('E8809', 'icd9'), 'E880.9');
+    });
+
+    it('should normalize procedure codes and reject codes that fit no system', function () {
+        assert.equal(codes.normalize(' 99213 '), '99213');
+        assert.equal(codes.normalize('j1100', 'hcpcs'), 'J1100');
+        assert.equal(codes.normalize('4871', 'cpt'), null);
+        assert.equal(codes.normalize('flu'), null);
+    });
+
+    describe('connections', function () {
+        var mock = new MockPokitDok(),
+            pokitdok;
+
+        before(function (done) {
+            mock.listen(function () {
+                pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+                done();
+            });
+        });
+
+        after(function (done) {
+            mock.close(done);
+        });
+
+        beforeEach(function () {
+            mock.requests = [];
+        });
+
+        it('should look up codes in their normalized form', function (done) {
+            var options = {code: '4871'};
+            pokitdok.icdConvert(options).then(function (res) {
+                assert.equal(res.data.source_scenarios[0].choice_lists[0].value, '487.1');
+                assert.equal(options.code, '4871');
+                return pokitdok.medicalProcedureCodes({code: '99213 '});
+            }).then(function (res) {
+                assert.equal(res.data.code, '99213');
+                return pokitdok.cashPrices({cpt_code: ' 90658', zip_code: '94401'});
+            }).then(function () {
+                assert.equal(_.last(mock.requests).query.cpt_code, '90658');
+            }).then(done, done);
+        });
+
+        it('should send codes that fit no system when the query skips validation', function (done) {
+            pokitdok.cashPrices(PokitDok.skipValidation({cpt_code: 'flu shot', zip_code: '94401'}), function () {
+                assert.equal(_.last(mock.requests).query.cpt_code, 'flu shot');
+                done();
+            });
+        });
+
+        it('should fail a missing price query instead of throwing', function (done) {
+            pokitdok.cashPrices(function (err) {
+                assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                pokitdok.insurancePrices().then(function () {
+                    throw new Error('expected the missing query to be refused');
+                }, function (err) {
+                    assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                    assert.equal(mock.requests.length, 0);
+                }).then(done, done);
+            });
+        });
+
+        it('should fail codes that fit no system without sending them', function (done) {
+            pokitdok.insurancePrices({cpt_code: 'flu shot', zip_code: '94401'}, function (err) {
+                assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                assert.deepEqual(err.fieldErrors, [{field: 'cpt_code', message: 'Must be a CPT or HCPCS procedure ' +
+                    'code.'}]);
+                assert.equal(mock.requests.length, 0);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+var assert = require('assert'),
+    http = require('http'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    errors = PokitDok.errors;
+
+describe('errors', function () {
+    var mock = new MockPokitDok({clientId: 'mock_client_id', clientSecret: 'mock_client_secret'}),
+        pokitdok;
+
+    before(function (done) {
+        mock.listen(function (err, baseUrl) {
+            pokitdok = new PokitDok('mock_client_id', 'mock_client_secret', {baseUrl: baseUrl, validate: false});
+            done(err);
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    describe('#fromResponse()', function () {
+        var response = function (statusCode, headers) {
+            return {statusCode: statusCode, headers: headers || {}};
+        };
+
+        it('should pick the error class by status code', function () {
+            assert.equal(errors.fromResponse(response(401), 'Unauthorized', '/activities/') instanceof
+                errors.AuthenticationError, true);
+            assert.equal(errors.fromResponse(response(422), {}, '/eligibility/') instanceof errors.ValidationError, true);
+            assert.equal(errors.fromResponse(response(503), '', '/eligibility/') instanceof errors.ServerError, true);
+            assert.equal(errors.fromResponse(response(404), {}, '/activities/1') instanceof errors.PokitDokError, true);
+            assert.equal(errors.fromResponse(response(404), {}, '/activities/1') instanceof errors.ServerError, false);
+        });
+
+        it('should read the seconds to wait from a rate limited response', function () {
+            var err = errors.fromResponse(response(429, {'retry-after': '30'}), 'Too Many Requests', '/providers/');
+            assert.equal(err instanceof errors.RateLimitError, true);
+            assert.equal(err.retryAfter, 30);
+            assert.equal(err.message, 'Too Many Requests');
+            assert.equal(err.statusCode, 429);
+            assert.equal(err.path, '/providers/');
+        });
+
+        it('should read the Retry-After of a rate limited or unavailable response as seconds or a date', function () {
+            var inAMinute = new Date(Date.now() + 60000).toUTCString(),
+                limited = errors.fromResponse(response(429, {'retry-after': inAMinute}), '', '/providers/'),
+                unavailable = errors.fromResponse(response(503, {'retry-after': '120'}), '', '/providers/'),
+                unavailableUntil = errors.fromResponse(response(503, {'retry-after': inAMinute}), '', '/providers/');
+            assert.equal(limited.retryAfter >= 59 && limited.retryAfter <= 60, true);
+            assert.equal(unavailable instanceof errors.ServerError, true);
+            assert.equal(unavailable.retryAfter, 120);
+            assert.equal(unavailableUntil.retryAfter >= 59 && unavailableUntil.retryAfter <= 60, true);
+            assert.equal(errors.fromResponse(response(503, {'retry-after': new Date(0).toUTCString()}), '',
+                '/providers/').retryAfter, 0);
+            assert.equal(errors.fromResponse(response(503, {'retry-after': 'soon'}), '', '/providers/').retryAfter,
+                null);
+            assert.equal(errors.fromResponse(response(500, {'retry-after': '120'}), '', '/providers/').retryAfter,
+                null);
+        });
+
+        it('should flatten nested field errors', function () {
+            var err = errors.fromResponse(response(422), {
+                data: {errors: {member: {first_name: ['This field is required.']}, trading_partner_id: ['Unknown.']}}
+            }, '/eligibility/');
+            assert.deepEqual(err.fieldErrors, [
+                {field: 'member.first_name', message: 'This field is required.'},
+                {field: 'trading_partner_id', message: 'Unknown.'}
+            ]);
+            assert.equal(err.message, 'member.first_name: This field is required.; trading_partner_id: Unknown.');
+        });
+    });
+
+    describe('api requests', function () {
+        it('should call back with a ValidationError for rejected parameters', function (done) {
+            pokitdok.eligibility({member: {first_name: 'Jane'}}, function (err, res) {
+                assert.equal(err instanceof errors.ValidationError, true);
+                assert.equal(err instanceof Error, true);
+                assert.equal(err.name, 'ValidationError');
+                assert.equal(err.statusCode, 422);
+                assert.equal(err.path, '/eligibility/');
+                assert.deepEqual(err.fieldErrors, [{field: 'trading_partner_id', message: 'This field is required.'}]);
+                assert.equal(res.statusCode, 422);
+                done();
+            });
+        });
+
+        it('should call back with an AuthenticationError for rejected credentials', function (done) {
+            var rejected = new PokitDok('mock_client_id', 'wrong_secret', {baseUrl: mock.url});
+            rejected.activities(function (err, res) {
+                assert.equal(err instanceof errors.AuthenticationError, true);
+                assert.equal(err.statusCode, 401);
+                assert.equal(err.message, 'invalid_client');
+                assert.deepEqual(err.body, {error: 'invalid_client'});
+                done();
+            });
+        });
+
+        it('should call back with a ServerError for a failing platform', function (done) {
+            var server = http.createServer(function (req, res) {
+                res.writeHead(req.url == '/oauth2/token' ? 200 : 502, {'Content-Type': 'application/json'});
+                res.end(req.url == '/oauth2/token' ? '{"access_token": "token"}' : 'Bad Gateway');
+            });
+            server.listen(0, '127.0.0.1', function () {
+                var failing = new PokitDok('id', 'secret', {
+                    baseUrl: 'http://127.0.0.1:' + server.address().port,
+                    retry: false
+                });
+                failing.payers().then(function () {
+                    throw new Error('expected the request to fail');
+                }, function (err) {
+                    assert.equal(err instanceof errors.ServerError, true);
+                    assert.equal(err.statusCode, 502);
+                    assert.equal(err.message, 'Bad Gateway');
+                }).then(function () {
+                    server.close(done);
+                }, done);
+            });
+        });
+
+        it('should call back with a NetworkError when the platform cannot be reached', function (done) {
+            var server = http.createServer();
+            // find a free port, then make sure nothing listens on it
+            server.listen(0, '127.0.0.1', function () {
+                var baseUrl = 'http://127.0.0.1:' + server.address().port;
+                server.close(function () {
+                    var unreachable = new PokitDok('id', 'secret', {baseUrl: baseUrl, retry: false});
+                    unreachable.accessToken = 'token';
+                    unreachable.payers(function (err, res) {
+                        assert.equal(err instanceof errors.NetworkError, true);
+                        assert.equal(err.code, 'ECONNREFUSED');
+                        assert.equal(err.path, '/payers/');
+                        assert.equal(res, undefined);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,58 @@
+// Documents the tests share. Each call returns a new document, so a test can change it without affecting others.
+
+// the claims document test_claim.837 was created from, which the mock platform accepts
+exports.claimDocument = function () {
+    return {
+        transaction_code: 'chargeable',
+        trading_partner_id: 'MOCKPAYER',
+        billing_provider: {
+            taxonomy_code: '207Q00000X',
+            first_name: 'Jerome',
+            last_name: 'Aya-Ay',
+            npi: '1467560003',
+            address: {
+                address_lines: ['8311 WARREN H ABERNATHY HWY'],
+                city: 'SPARTANBURG',
+                state: 'SC',
+                zipcode: '29301'
+            },
+            tax_id: '123456789'
+        },
+        subscriber: {
+            first_name: 'Jane',
+            last_name: 'Doe',
+            member_id: 'W000000000',
+            address: {
+                address_lines: ['123 N MAIN ST'],
+                city: 'SPARTANBURG',
+                state: 'SC',
+                zipcode: '29301'
+            },
+            birth_date: '1970-01-01',
+            gender: 'female'
+        },
+        claim: {
+            patient_control_number: '0f17b46dd39a4bb0add1',
+            total_charge_amount: 60.0,
+            service_lines: [
+                {
+                    procedure_code: '99213',
+                    charge_amount: 60.0,
+                    unit_count: 1.0,
+                    diagnosis_codes: ['487.1'],
+                    service_date: '2014-06-01'
+                }
+            ]
+        }
+    };
+};
+
+// an eligibility request the platform accepts
+exports.eligibilityRequest = function () {
+    return {
+        member: {birth_date: '1970-01-01', first_name: 'Jane', last_name: 'Doe', id: 'W000000000'},
+        provider: {first_name: 'JEROME', last_name: 'AYA-AY', npi: '1467560003'},
+        service_types: ['health_benefit_plan_coverage'],
+        trading_partner_id: 'MOCKPAYER'
+    };
+};
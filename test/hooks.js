@@ -0,0 +1,105 @@
+var assert = require('assert'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js');
+
+describe('hooks', function () {
+    var mock = new MockPokitDok();
+
+    before(function (done) {
+        mock.listen(done);
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.requests = [];
+    });
+
+    // a connection with minimal retry delays and a fetched token
+    var connect = function (done) {
+        var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, retry: {minDelay: 1}});
+        pokitdok.payers(function (err) {
+            mock.requests = [];
+            done(err, pokitdok);
+        });
+    };
+
+    describe('#use()', function () {
+        it('should let before hooks add headers to every request that is sent', function (done) {
+            connect(function (err, pokitdok) {
+                var sent = 0;
+                pokitdok.use({
+                    before: function (options) {
+                        options.headers['X-Correlation-Id'] = 'abc-' + (++sent);
+                    }
+                });
+                // the request fails twice and is retried, then is rejected and sent again after a token refresh
+                mock.failNext(2, {statusCode: 502});
+                mock.expireTokens();
+                pokitdok.plans(function (err, res) {
+                    assert.equal(null, err);
+                    var apiRequests = mock.requests.filter(function (req) {
+                        return req.path == '/api/v4/plans/';
+                    });
+                    assert.deepEqual(apiRequests.map(function (req) {
+                        return req.headers['x-correlation-id'];
+                    }), ['abc-1', 'abc-2', 'abc-3', 'abc-4']);
+                    done();
+                });
+            });
+        });
+
+        it('should let after hooks inspect and replace the result', function (done) {
+            connect(function (err, pokitdok) {
+                var results = [];
+                pokitdok.use({
+                    after: function (result) {
+                        results.push(result);
+                        if (result.error && result.error.statusCode == 404) {
+                            result.error = null;
+                            result.data = {data: null};
+                        }
+                    }
+                });
+                pokitdok.use({
+                    after: function (result) {
+                        if (result.data && result.data.meta) {
+                            result.data = result.data.data;
+                        }
+                    }
+                });
+                pokitdok.tradingPartners({id: 'MOCKPAYER'}, function (err, res) {
+                    assert.equal(null, err);
+                    assert.equal(res.id, 'MOCKPAYER');
+                    pokitdok.tradingPartners({id: 'NOT_A_TRADING_PARTNER'}, function (err, res) {
+                        assert.equal(null, err);
+                        assert.deepEqual(res, {data: null});
+                        assert.equal(results.length, 2);
+                        assert.equal(results[1].response.statusCode, 404);
+                        assert.equal(results[1].options.path, '/tradingpartners/NOT_A_TRADING_PARTNER');
+                        assert.equal(results[1].sends, 1);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should call back with the error a hook throws', function (done) {
+            connect(function (err, pokitdok) {
+                pokitdok.use({
+                    before: function (options) {
+                        throw new Error('no correlation id');
+                    }
+                });
+                pokitdok.plans().then(function () {
+                    throw new Error('expected the request to fail');
+                }, function (err) {
+                    assert.equal(err.message, 'no correlation id');
+                    assert.equal(mock.requests.length, 0);
+                }).then(done, done);
+            });
+        });
+    });
+});
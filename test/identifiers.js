@@ -0,0 +1,100 @@
+var assert = require('assert'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    identifiers = PokitDok.identifiers;
+
+// a private function to check a list of values that should pass and a list that should fail
+var checks = function (check, valid, invalid) {
+    _.each(valid, function (value) {
+        assert.equal(check(value), true, 'expected ' + value + ' to be valid');
+    });
+    _.each(invalid, function (value) {
+        assert.equal(check(value), false, 'expected ' + value + ' to be invalid');
+    });
+};
+
+describe('identifiers', function () {
+    it('should check the NPI check digit with the health industry prefix', function () {
+        checks(identifiers.isNpi, ['1467560003', '1881692002', 1760779011, '1234567893'],
+            ['1467560004', '1234567890', '146756000', '14675600030', '146756000X', '', null]);
+    });
+
+    it('should check tax ids', function () {
+        checks(identifiers.isTaxId, ['123456789', '12-3456789', '123-45-6789', 123456789],
+            ['12345678', '1234-56789', '000000000', '00-0000000', '07-1234567', 'AB-CDEFGHI']);
+    });
+
+    it('should check zip codes', function () {
+        checks(identifiers.isZip, ['29301', '29301-1234', '293011234', 94118], ['2930', '29301-12', 'ABCDE']);
+    });
+
+    it('should check phone numbers', function () {
+        checks(identifiers.isPhone, ['8642341234', '864-234-1234', '(864) 234-1234', '864.234.1234',
+            '+1 864 234 1234', '18642341234', 8642341234],
+            ['864234123', '1234567890', '864-123-4567', '+44 20 7946 0018']);
+    });
+
+    it('should check state codes in either case', function () {
+        checks(identifiers.isState, ['SC', 'sc', 'DC', 'PR', 'AE'], ['XX', 'S', 'SCA', '']);
+    });
+
+    it('should check that member ids fit an X12 identifier', function () {
+        checks(identifiers.isMemberId, ['W000000000', 'ABC-123', 12345], ['W', 'W000 000', 'W000000000/1',
+            _.repeat('W', 81)]);
+    });
+
+    it('should be used by the request schemas', function () {
+        var problems = PokitDok.validate(PokitDok.schemas.claimStatus, {
+            patient: {first_name: 'Jane', last_name: 'Doe', id: 'W000000000', address: {state: 'XX', zipcode: 2930}},
+            provider: {npi: '1467560004', tax_id: '12-345', phone: '123-456-7890'},
+            service_date: '2014-06-01',
+            trading_partner_id: 'MOCKPAYER'
+        });
+        assert.deepEqual(_.pluck(problems, 'field'), ['patient.address.state', 'patient.address.zipcode',
+            'provider.npi', 'provider.tax_id', 'provider.phone']);
+        assert.deepEqual(_.pluck(problems, 'message'), ['Must be a two letter state code.', 'Must be a string.',
+            'Must be a 10 digit NPI with a valid check digit.', 'Must be a 9 digit tax id, such as an EIN formatted ' +
+            'as 12-3456789.', 'Must be a 10 digit phone number.']);
+    });
+
+    describe('connections', function () {
+        var mock = new MockPokitDok();
+
+        before(function (done) {
+            mock.listen(done);
+        });
+
+        after(function (done) {
+            mock.close(done);
+        });
+
+        beforeEach(function () {
+            mock.requests = [];
+        });
+
+        it('should fail a provider lookup with an invalid NPI without sending it', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            pokitdok.providers({npi: 'bad'}, function (err) {
+                assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                assert.equal(err.message, 'The providers request is invalid: npi: Must be a 10 digit NPI with a ' +
+                    'valid check digit.');
+                assert.equal(err.path, '/providers/bad');
+                assert.equal(mock.requests.length, 0);
+                done();
+            });
+        });
+
+        it('should check the filters of a provider search', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            pokitdok.providers({zipcode: 9411, last_name: 'shen'}, function (err) {
+                assert.deepEqual(err.fieldErrors, [{field: 'zipcode', message: 'Must be a 5 or 9 digit zip code.'}]);
+                pokitdok.providers({npi: 1881692002}, function (err, res) {
+                    assert.equal(err, null);
+                    assert.equal(res.data.provider.last_name, 'SHEN');
+                    done();
+                });
+            });
+        });
+    });
+});
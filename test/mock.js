@@ -0,0 +1,139 @@
+var assert = require('assert'),
+    request = require('request'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js');
+
+describe('MockPokitDok', function () {
+    var mock = new MockPokitDok({clientId: 'mock_client_id', clientSecret: 'mock_client_secret'}),
+        pokitdok;
+
+    before(function (done) {
+        mock.listen(function (err, baseUrl) {
+            // the documents sent here are checked by the mock, not by the client
+            pokitdok = new PokitDok('mock_client_id', 'mock_client_secret', {baseUrl: baseUrl, validate: false});
+            done(err);
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    describe('#listen()', function () {
+        it('should expose the base url of the running server', function () {
+            assert.equal(/^http:\/\/127\.0\.0\.1:\d+$/.test(mock.url), true);
+        });
+    });
+
+    describe('/oauth2/token', function () {
+        it('should issue a token for the configured credentials', function (done) {
+            request({
+                uri: mock.url + '/oauth2/token',
+                method: 'POST',
+                headers: {
+                    'Authorization': 'Basic ' + new Buffer('mock_client_id:mock_client_secret').toString('base64')
+                },
+                form: {
+                    grant_type: 'client_credentials'
+                },
+                json: true
+            }, function (err, res, body) {
+                assert.equal(null, err);
+                assert.equal(res.statusCode, 200);
+                assert.equal(typeof body.access_token, 'string');
+                assert.equal(body.expires_in, 3600);
+                done();
+            });
+        });
+
+        it('should reject unknown credentials', function (done) {
+            var rejected = new PokitDok('mock_client_id', 'wrong_secret', {baseUrl: mock.url});
+            rejected.tradingPartners(function (err, res) {
+                assert.equal(res.statusCode, 401);
+                assert.equal(/invalid_client/.test(err), true);
+                done();
+            });
+        });
+    });
+
+    describe('#expireTokens()', function () {
+        it('should answer expired tokens with a 401 and let the client refresh them', function (done) {
+            pokitdok.tradingPartners(function (err, res) {
+                assert.equal(null, err);
+                var firstToken = pokitdok.accessToken;
+                mock.expireTokens();
+                pokitdok.tradingPartners(function (err, res) {
+                    assert.equal(null, err);
+                    assert.equal(res.data instanceof Array, true);
+                    assert.notEqual(pokitdok.accessToken, firstToken);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('/claims/convert', function () {
+        it('should receive the whole upload again when a stream upload is retried after a 401', function (done) {
+            var fs = require('fs'),
+                pathToX12File = __dirname + '/../test_claim.837';
+            mock.expireTokens();
+            pokitdok.claimsConvert(fs.createReadStream(pathToX12File), function (err, res) {
+                assert.equal(null, err);
+                var uploads = mock.requests.filter(function (req) {
+                    return req.path == '/api/v4/claims/convert';
+                });
+                assert.equal(uploads.length, 2);
+                assert.equal(uploads[0].body.file.filename, 'test_claim.837');
+                assert.equal(uploads[0].body.file.content, fs.readFileSync(pathToX12File).toString());
+                assert.equal(uploads[1].body.file.content, uploads[0].body.file.content);
+                assert.equal(res.data.trading_partner_id, 'MOCKPAYER');
+                done();
+            });
+        });
+    });
+
+    describe('api requests', function () {
+        it('should record the requests it receives', function (done) {
+            pokitdok.cashPrices({cpt_code: '90658', zip_code: '94401'}, function (err, res) {
+                assert.equal(null, err);
+                var last = mock.requests[mock.requests.length - 1];
+                assert.equal(last.method, 'GET');
+                assert.equal(last.path, '/api/v4/prices/cash');
+                assert.equal(last.query.cpt_code, '90658');
+                assert.equal(last.headers['user-agent'], pokitdok.userAgent);
+                done();
+            });
+        });
+
+        it('should answer validation errors in the platform error format', function (done) {
+            pokitdok.eligibility({member: {first_name: 'Jane'}}, function (err, res) {
+                assert.equal(res.statusCode, 422);
+                assert.deepEqual(err.body.data.errors.trading_partner_id, ['This field is required.']);
+                done();
+            });
+        });
+
+        it('should transition activities', function (done) {
+            pokitdok.activities({
+                id: MockPokitDok.fixtures.activities[0].id,
+                transition: 'cancel'
+            }, function (err, res) {
+                assert.equal(null, err);
+                assert.equal(res.data.state.name, 'canceled');
+                assert.equal(MockPokitDok.fixtures.activities[0].state.name, 'scheduled');
+                done();
+            });
+        });
+
+        it('should create an activity for a submitted claim', function (done) {
+            pokitdok.claims({trading_partner_id: 'MOCKPAYER'}, function (err, res) {
+                assert.equal(null, err);
+                pokitdok.activities({id: res.data.id}, function (err, activity) {
+                    assert.equal(null, err);
+                    assert.equal(activity.data.name, 'X12 837 claim');
+                    done();
+                });
+            });
+        });
+    });
+});
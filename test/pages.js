@@ -0,0 +1,165 @@
+var assert = require('assert'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js');
+
+// a private function to collect the items of an iterator into a list
+var collect = function (iterator, items) {
+    items = items || [];
+    return iterator.next().then(function (result) {
+        if (result.done) {
+            return items;
+        }
+        items.push(result.value);
+        return collect(iterator, items);
+    });
+};
+
+describe('pagination', function () {
+    var mock = new MockPokitDok(),
+        pokitdok;
+
+    // the list requests of a path, without the token requests
+    var pageRequests = function (pathname) {
+        return _.filter(mock.requests, {path: '/api/v4' + pathname});
+    };
+
+    before(function (done) {
+        mock.listen(function () {
+            pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            done();
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.requests = [];
+    });
+
+    it('should follow the next links through every page', function (done) {
+        collect(pokitdok.iterate('providers', {}, {pageSize: 3})).then(function (items) {
+            assert.deepEqual(_.pluck(_.pluck(items, 'provider'), 'npi'),
+                _.pluck(_.pluck(MockPokitDok.fixtures.providers, 'provider'), 'npi'));
+            assert.deepEqual(_.pluck(pageRequests('/providers/'), 'query'), [
+                {limit: '3'},
+                {limit: '3', offset: '3'}
+            ]);
+        }).then(done, done);
+    });
+
+    it('should keep the query of the first page on the following pages', function (done) {
+        collect(pokitdok.iterate('medicalProcedureCodes', {name: 'visit'}, {pageSize: 2})).then(function (items) {
+            assert.equal(items.length, MockPokitDok.fixtures.mpc.length);
+            assert.deepEqual(_.pluck(pageRequests('/mpc/'), 'query'), [
+                {name: 'visit', limit: '2'},
+                {name: 'visit', limit: '2', offset: '2'}
+            ]);
+        }).then(done, done);
+    });
+
+    it('should page by the result count when a page has no next link', function (done) {
+        var pages = [{meta: {result_count: 5}, data: [1, 2]}, {meta: {result_count: 5}, data: [3, 4]},
+                {meta: {result_count: 5}, data: [5]}],
+            queries = [],
+            iterator = new PokitDok.PageIterator(function (query, callback) {
+                queries.push(query);
+                callback(null, pages.shift());
+            }, {state: 'SC'}, {pageSize: 2});
+        collect(iterator).then(function (items) {
+            assert.deepEqual(items, [1, 2, 3, 4, 5]);
+            assert.deepEqual(queries, [
+                {state: 'SC', limit: 2},
+                {state: 'SC', limit: 2, offset: 2},
+                {state: 'SC', limit: 2, offset: 4}
+            ]);
+        }).then(done, done);
+    });
+
+    it('should take a list without paging metadata for a single page', function (done) {
+        var requests = 0,
+            iterator = new PokitDok.PageIterator(function (query, callback) {
+                requests++;
+                callback(null, {meta: {}, data: [1, 2]});
+            });
+        collect(iterator).then(function (items) {
+            assert.deepEqual(items, [1, 2]);
+            assert.equal(requests, 1);
+        }).then(done, done);
+    });
+
+    it('should stop after the maximum number of items without fetching more pages', function (done) {
+        collect(pokitdok.iterate('activities', {}, {pageSize: 1, maxItems: 2})).then(function (items) {
+            assert.equal(items.length, 2);
+            assert.equal(pageRequests('/activities/').length, 2);
+        }).then(done, done);
+    });
+
+    it('should fetch every page once when items are asked for at the same time', function (done) {
+        var iterator = pokitdok.iterate('plans', {}, {pageSize: 2});
+        Promise.all([iterator.next(), iterator.next(), iterator.next(), iterator.next()]).then(function (results) {
+            assert.deepEqual(_.pluck(results, 'done'), [false, false, false, true]);
+            assert.deepEqual(_.uniq(_.pluck(_.pluck(results.slice(0, 3), 'value'), 'plan_id')).length, 3);
+            assert.equal(pageRequests('/plans/').length, 2);
+        }).then(done, done);
+    });
+
+    it('should reject with the error of a failed page and request it again on the next call', function (done) {
+        var iterator = pokitdok.iterate('getIdentity', {}, {pageSize: 1});
+        mock.failNext(1, {statusCode: 404, body: 'Not Found'});
+        iterator.next().then(function () {
+            throw new Error('expected the page request to fail');
+        }, function (err) {
+            assert.equal(err instanceof PokitDok.errors.PokitDokError, true);
+            return iterator.next();
+        }).then(function (result) {
+            assert.equal(result.value.first_name, MockPokitDok.fixtures.identities[0].first_name);
+        }).then(done, done);
+    });
+
+    it('should work with for await loops', function (done) {
+        // the loop is compiled at run time, so the suite still loads on node versions without async iteration
+        var loop;
+        try {
+            loop = new Function('iterator', 'return (async function () { var names = []; ' +
+                'for await (var item of iterator) { names.push(item.name); if (names.length == 3) { break; } } ' +
+                'return names; })();');
+        } catch (syntaxError) {
+            return done();
+        }
+        var iterator = pokitdok.iterate('medicalProcedureCodes', {}, {pageSize: 2});
+        loop(iterator).then(function (names) {
+            assert.equal(names.length, 3);
+            return iterator.next();
+        }).then(function (result) {
+            assert.equal(result.done, true);
+        }).then(done, done);
+    });
+
+    it('should stream the items of every page', function (done) {
+        var items = [];
+        pokitdok.stream('providers', {}, {pageSize: 2}).on('data', function (item) {
+            items.push(item);
+        }).on('end', function () {
+            assert.equal(items.length, MockPokitDok.fixtures.providers.length);
+            assert.equal(pageRequests('/providers/').length, Math.ceil(items.length / 2));
+            done();
+        });
+    });
+
+    it('should emit the error of a failed page on the stream', function (done) {
+        mock.failNext(1, {statusCode: 404, body: 'Not Found'});
+        pokitdok.stream('activities').on('error', function (err) {
+            assert.equal(err.statusCode, 404);
+            done();
+        }).resume();
+    });
+
+    it('should refuse endpoints that are not lists', function () {
+        assert.throws(function () {
+            pokitdok.iterate('claims', {});
+        }, PokitDok.errors.ValidationError);
+    });
+});
@@ -0,0 +1,208 @@
+var assert = require('assert'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    checkClaim = PokitDok.checkClaim,
+    fixtures = require('./fixtures');
+
+// the shared claims document with a second service line, without problems when checked on 2014-06-15
+var claimDocument = function () {
+    var document = fixtures.claimDocument(),
+        lines = document.claim.service_lines;
+    lines[0].charge_amount = 60.1;
+    lines.push({procedure_code: '87804', charge_amount: 40.2, diagnosis_codes: ['487.1', 'V70.0'],
+        service_date: '2014-06-01', service_end_date: '2014-06-02'});
+    document.claim.total_charge_amount = 100.3;
+    return document;
+};
+
+var options = {today: '2014-06-15'};
+
+describe('checkClaim', function () {
+    it('should accept a consistent claim', function () {
+        assert.deepEqual(checkClaim(claimDocument(), options), {errors: [], warnings: []});
+    });
+
+    it('should report a total that is not the sum of the service line charges', function () {
+        var document = claimDocument();
+        document.claim.total_charge_amount = 100;
+        assert.deepEqual(checkClaim(document, options).errors, [{
+            field: 'claim.total_charge_amount',
+            code: 'total_mismatch',
+            message: 'Must be the sum of the service line charges, 100.30.'
+        }]);
+    });
+
+    it('should report service dates that are invalid, in the future, before birth or out of order', function () {
+        var document = claimDocument(),
+            lines = document.claim.service_lines;
+        lines[0].service_date = '2014-06-16';
+        lines[1].service_date = '1969-12-31';
+        lines[1].service_end_date = '2014-02-30';
+        lines.push(_.extend({}, lines[0], {service_date: '2014-06-10', service_end_date: '2014-06-09'}));
+        document.claim.total_charge_amount = 160.4;
+        assert.deepEqual(_.map(checkClaim(document, options).errors, function (problem) {
+            return problem.field + ' ' + problem.code;
+        }), [
+            'claim.service_lines[0].service_date future_date',
+            'claim.service_lines[1].service_end_date invalid_date',
+            'claim.service_lines[1].service_date before_birth',
+            'claim.service_lines[2].service_end_date date_order'
+        ]);
+    });
+
+    it('should check the birth date of the patient rather than the subscriber', function () {
+        var document = claimDocument();
+        document.patient = {first_name: 'John', last_name: 'Doe', relationship: 'child', birth_date: '2014-06-02'};
+        assert.deepEqual(_.pluck(checkClaim(document, options).errors, 'field'), [
+            'claim.service_lines[0].service_date',
+            'claim.service_lines[1].service_date'
+        ]);
+    });
+
+    it('should warn about service dates past the timely filing limit', function () {
+        var result = checkClaim(claimDocument(), {today: '2015-06-15', timelyFilingDays: 90});
+        assert.deepEqual(result.errors, []);
+        assert.deepEqual(_.pluck(result.warnings, 'code'), ['timely_filing', 'timely_filing']);
+        assert.equal(result.warnings[0].message, 'Is more than 90 days ago, past the timely filing limit of many ' +
+            'payers.');
+    });
+
+    it('should report a billing provider without an NPI or tax id', function () {
+        var document = claimDocument();
+        delete document.billing_provider.npi;
+        document.billing_provider.tax_id = '';
+        assert.deepEqual(checkClaim(document, options).errors, [
+            {field: 'billing_provider.npi', code: 'missing_npi', message: 'The billing provider must have an NPI.'},
+            {field: 'billing_provider.tax_id', code: 'missing_tax_id', message: 'The billing provider must have a ' +
+                'tax id.'}
+        ]);
+    });
+
+    it('should report diagnosis codes the service lines cannot point at', function () {
+        var document = claimDocument(),
+            lines = document.claim.service_lines;
+        lines[0].diagnosis_codes = [];
+        lines[1].diagnosis_codes = ['487.1', 'J10.1', 'J101', 'flu', '4871', 'R05', 'R50.9', 'R51'];
+        var result = checkClaim(document, options);
+        assert.deepEqual(_.map(result.errors, function (problem) {
+            return problem.field + ' ' + problem.code;
+        }), [
+            'claim.service_lines[0].diagnosis_codes missing_diagnosis',
+            'claim.service_lines[1].diagnosis_codes[3] invalid_diagnosis',
+            'claim.service_lines[1].diagnosis_codes too_many_pointers'
+        ]);
+        assert.deepEqual(_.map(result.warnings, function (problem) {
+            return problem.field + ' ' + problem.code;
+        }), [
+            'claim.service_lines[1].diagnosis_codes[2] duplicate_diagnosis',
+            'claim.service_lines[1].diagnosis_codes[4] duplicate_diagnosis'
+        ]);
+    });
+
+    it('should report ICD-9 codes for services after the ICD-10 cutover', function () {
+        var document = claimDocument(),
+            lines = document.claim.service_lines;
+        lines[0].service_date = '2015-10-01';
+        lines[0].diagnosis_codes = ['J10.1'];
+        lines[1].service_date = lines[1].service_end_date = '2015-10-01';
+        assert.deepEqual(checkClaim(document, {today: '2015-10-15'}).errors, [{
+            field: 'claim.service_lines[1].diagnosis_codes[0]',
+            code: 'icd9_after_cutover',
+            message: 'Must be an ICD-10 code, services from 2015-10-01 on are coded with ICD-10.'
+        }, {
+            field: 'claim.service_lines[1].diagnosis_codes[1]',
+            code: 'icd9_after_cutover',
+            message: 'Must be an ICD-10 code, services from 2015-10-01 on are coded with ICD-10, and this one reads ' +
+                'as an ICD-9 code too.'
+        }]);
+    });
+
+    it('should report ICD-9 V and E codes that fit ICD-10 as well for services after the cutover', function () {
+        var document = claimDocument(),
+            lines = document.claim.service_lines;
+        lines[0].service_date = '2015-10-01';
+        lines[0].diagnosis_codes = ['V70.0', 'E8490', 'J10.1', 'E11.9'];
+        lines[1].service_date = lines[1].service_end_date = '2015-10-01';
+        lines[1].diagnosis_codes = ['J10.1'];
+        assert.deepEqual(_.map(checkClaim(document, {today: '2015-10-15'}).errors, function (problem) {
+            return problem.field + ' ' + problem.code;
+        }), [
+            'claim.service_lines[0].diagnosis_codes[0] icd9_after_cutover',
+            'claim.service_lines[0].diagnosis_codes[1] icd9_after_cutover'
+        ]);
+    });
+
+    it('should take V and E codes for ICD-9 codes for services before the cutover', function () {
+        var document = claimDocument();
+        // as an ICD-10 code, E8490 would be E84.90 again
+        document.claim.service_lines[0].diagnosis_codes = ['E8490', 'E84.90'];
+        assert.deepEqual(checkClaim(document, options), {errors: [], warnings: []});
+    });
+
+    it('should report more diagnosis codes than a claim can hold', function () {
+        var document = claimDocument(),
+            codes = ['R05', 'R50.9', 'R51', 'J10.1', 'J02.9', 'J06.9', 'R09.81', 'R53.83', 'M79.1', 'R11.0', 'R19.7',
+                'J20.9', 'J40'];
+        document.claim.service_lines = _.map(_.chunk(codes, 4), function (lineCodes) {
+            return {procedure_code: '99213', charge_amount: 10, diagnosis_codes: lineCodes, service_date: '2014-06-01'};
+        });
+        document.claim.total_charge_amount = 40;
+        assert.deepEqual(_.pluck(checkClaim(document, options).errors, 'code'), ['too_many_diagnoses']);
+    });
+
+    describe('connections', function () {
+        var mock = new MockPokitDok();
+
+        before(function (done) {
+            mock.listen(done);
+        });
+
+        after(function (done) {
+            mock.close(done);
+        });
+
+        beforeEach(function () {
+            mock.requests = [];
+        });
+
+        it('should fail a claim with errors without sending it when checks are turned on', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, checkClaims: true}),
+                document = claimDocument();
+            document.claim.total_charge_amount = 100;
+            pokitdok.claims(document).then(function () {
+                throw new Error('expected the request to fail');
+            }, function (err) {
+                assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                assert.equal(err.message, 'The claims request is invalid: claim.total_charge_amount: Must be the sum ' +
+                    'of the service line charges, 100.30.');
+                assert.equal(err.fieldErrors[0].code, 'total_mismatch');
+                assert.equal(mock.requests.length, 0);
+            }).then(done, done);
+        });
+
+        it('should send a claim with warnings and log them', function (done) {
+            var events = [],
+                logger = {debug: _.noop, info: _.noop, warn: events.push.bind(events), error: _.noop},
+                pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, checkClaims: true,
+                    logger: logger}),
+                document = claimDocument();
+            document.claim.service_lines[0].diagnosis_codes.push('4871');
+            pokitdok.claims(document).then(function (res) {
+                assert.equal(res.data.name, 'X12 837 claim');
+                assert.deepEqual(_.pluck(events[0].warnings, 'code'), ['timely_filing', 'duplicate_diagnosis',
+                    'timely_filing']);
+                assert.equal(events[0].event, 'claimCheck');
+            }).then(done, done);
+        });
+
+        it('should leave claims to the platform by default', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url}),
+                document = claimDocument();
+            document.claim.total_charge_amount = 100;
+            pokitdok.claims(document).then(function (res) {
+                assert.equal(res.data.name, 'X12 837 claim');
+            }).then(done, done);
+        });
+    });
+});
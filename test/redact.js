@@ -0,0 +1,126 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    redact = PokitDok.redact;
+
+describe('redact', function () {
+    it('should mask PHI fields anywhere in a payload', function () {
+        var payload = {
+            member: {first_name: 'Jane', last_name: 'Doe', birth_date: '1970-01-01', id: 'W000000000'},
+            provider: {first_name: 'Jerome', npi: '1467560003'},
+            dependents: [{first_name: 'Jimmy', id: 'W000000001'}],
+            trading_partner_id: 'MOCKPAYER',
+            ssn: null
+        };
+        assert.deepEqual(redact(payload), {
+            member: {first_name: '[REDACTED]', last_name: '[REDACTED]', birth_date: '[REDACTED]', id: '[REDACTED]'},
+            provider: {first_name: '[REDACTED]', npi: '1467560003'},
+            dependents: [{first_name: '[REDACTED]', id: '[REDACTED]'}],
+            trading_partner_id: 'MOCKPAYER',
+            ssn: null
+        });
+        // the payload itself is left as it is
+        assert.equal(payload.member.first_name, 'Jane');
+    });
+
+    it('should mask whole addresses and keep ids of anything but people', function () {
+        assert.deepEqual(redact({
+            subscriber: {address: {address_lines: ['123 N MAIN ST'], zipcode: '29301'}},
+            activity: {id: '5317f51527a27620f2ec7533'}
+        }), {
+            subscriber: {address: '[REDACTED]'},
+            activity: {id: '5317f51527a27620f2ec7533'}
+        });
+    });
+
+    it('should mask a custom list of fields', function () {
+        assert.deepEqual(redact({first_name: 'Jane', tax_id: '123456789'}, ['tax_id']),
+            {first_name: 'Jane', tax_id: '[REDACTED]'});
+    });
+
+    describe('logging', function () {
+        var mock = new MockPokitDok(),
+            events = [],
+            logger = {},
+            pokitdok;
+
+        ['debug', 'info', 'warn', 'error'].forEach(function (level) {
+            logger[level] = function (event) {
+                events.push({level: level, event: event});
+            };
+        });
+
+        before(function (done) {
+            mock.listen(function (err, baseUrl) {
+                pokitdok = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: baseUrl,
+                    logger: logger,
+                    retry: {minDelay: 1}
+                });
+                done(err);
+            });
+        });
+
+        after(function (done) {
+            mock.close(done);
+        });
+
+        beforeEach(function () {
+            events = [];
+        });
+
+        // list the types of the logged events
+        var types = function () {
+            return events.map(function (logged) {
+                return logged.level + ':' + logged.event.event;
+            });
+        };
+
+        it('should log requests and responses without PHI or tokens', function (done) {
+            pokitdok.eligibility({
+                member: {birth_date: '1970-01-01', first_name: 'Jane', last_name: 'Doe', id: 'W000000000'},
+                trading_partner_id: 'MOCKPAYER'
+            }, function (err, res) {
+                assert.equal(null, err);
+                assert.deepEqual(types(), ['info:token', 'debug:request', 'debug:response']);
+                assert.deepEqual(events[1].event.body, {
+                    member: {birth_date: '[REDACTED]', first_name: '[REDACTED]', last_name: '[REDACTED]', id: '[REDACTED]'},
+                    trading_partner_id: 'MOCKPAYER'
+                });
+                assert.equal(events[2].event.statusCode, 200);
+                assert.equal(events[2].event.path, '/eligibility/');
+                var logged = JSON.stringify(events);
+                assert.equal(logged.indexOf('Jane'), -1);
+                assert.equal(logged.indexOf('W000000000'), -1);
+                assert.equal(logged.indexOf(pokitdok.accessToken), -1);
+                done();
+            });
+        });
+
+        it('should log retries and failed responses', function (done) {
+            mock.failNext({statusCode: 503});
+            pokitdok.payers(function (err, res) {
+                assert.equal(null, err);
+                assert.deepEqual(types(), ['debug:request', 'warn:response', 'warn:retry', 'debug:request',
+                    'debug:response']);
+                assert.deepEqual(events[2].event.error, {
+                    name: 'ServerError',
+                    message: 'Service Unavailable',
+                    statusCode: 503
+                });
+                assert.equal(events[3].event.send, 2);
+                done();
+            });
+        });
+
+        it('should log the name and size of uploads', function (done) {
+            var content = fs.readFileSync(__dirname + '/../test_claim.837');
+            pokitdok.claimsConvert(content, function (err, res) {
+                assert.equal(null, err);
+                assert.deepEqual(events[0].event.formData, {file: {filename: 'upload.x12', size: content.length}});
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+var assert = require('assert'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    errors = PokitDok.errors;
+
+describe('retries', function () {
+    var mock = new MockPokitDok(),
+        pokitdok;
+
+    before(function (done) {
+        mock.listen(function (err, baseUrl) {
+            pokitdok = new PokitDok('client_id', 'client_secret', {
+                baseUrl: baseUrl,
+                retry: {minDelay: 1, maxDelay: 100},
+                validate: false
+            });
+            // fetch a token up front so the counted requests don't include the first 401
+            pokitdok.tradingPartners(done);
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.failures = [];
+        mock.requests = [];
+    });
+
+    // count the requests the mock received for an api path
+    var received = function (path) {
+        return mock.requests.filter(function (req) {
+            return req.path == '/api/v4' + path;
+        }).length;
+    };
+
+    it('should send a GET again after a server error', function (done) {
+        mock.failNext(2, {statusCode: 502});
+        pokitdok.tradingPartners(function (err, res) {
+            assert.equal(null, err);
+            assert.equal(res.data instanceof Array, true);
+            assert.equal(received('/tradingpartners/'), 3);
+            done();
+        });
+    });
+
+    it('should send a GET again after a dropped connection', function (done) {
+        mock.failNext({drop: true});
+        pokitdok.plans(function (err, res) {
+            assert.equal(null, err);
+            assert.equal(received('/plans/'), 2);
+            done();
+        });
+    });
+
+    it('should give up after the maximum number of attempts', function (done) {
+        mock.failNext(3, {statusCode: 503});
+        pokitdok.payers(function (err, res) {
+            assert.equal(err instanceof errors.ServerError, true);
+            assert.equal(res.statusCode, 503);
+            assert.equal(received('/payers/'), 3);
+            done();
+        });
+    });
+
+    it('should wait for the Retry-After of a rate limited request', function (done) {
+        var started = Date.now(),
+            limited = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, retry: {minDelay: 1, maxDelay: 2000}});
+        limited.accessToken = pokitdok.accessToken;
+        mock.failNext({statusCode: 429, headers: {'Retry-After': '1'}});
+        limited.cashPrices({cpt_code: '90658', zip_code: '94401'}, function (err, res) {
+            assert.equal(null, err);
+            assert.equal(received('/prices/cash'), 2);
+            assert.equal(Date.now() - started >= 1000, true);
+            done();
+        });
+    });
+
+    it('should wait for the Retry-After of an unavailable platform', function (done) {
+        var started = Date.now(),
+            limited = new PokitDok('client_id', 'client_secret', {
+                baseUrl: mock.url,
+                retry: {minDelay: 1, maxDelay: 2000}
+            });
+        limited.accessToken = pokitdok.accessToken;
+        mock.failNext({statusCode: 503, headers: {'Retry-After': '1'}});
+        limited.payers(function (err) {
+            assert.equal(null, err);
+            assert.equal(received('/payers/'), 2);
+            assert.equal(Date.now() - started >= 1000, true);
+            done();
+        });
+    });
+
+    it('should give up on a Retry-After longer than the maximum delay', function (done) {
+        mock.failNext({statusCode: 429, headers: {'Retry-After': '120'}});
+        pokitdok.providers({npi: '1881692002'}, function (err, res) {
+            assert.equal(err instanceof errors.RateLimitError, true);
+            assert.equal(err.retryAfter, 120);
+            assert.equal(received('/providers/1881692002'), 1);
+            done();
+        });
+    });
+
+    it('should not send a POST again unless it is opted in', function (done) {
+        mock.failNext({statusCode: 502});
+        pokitdok.claims({trading_partner_id: 'MOCKPAYER'}, function (err, res) {
+            assert.equal(err instanceof errors.ServerError, true);
+            assert.equal(received('/claims/'), 1);
+            var optedIn = new PokitDok('client_id', 'client_secret', {
+                baseUrl: mock.url,
+                retry: {minDelay: 1, methods: ['GET', 'POST']},
+                validate: false
+            });
+            optedIn.accessToken = pokitdok.accessToken;
+            mock.failNext({statusCode: 502});
+            optedIn.claims({trading_partner_id: 'MOCKPAYER'}, function (err, res) {
+                assert.equal(null, err);
+                assert.equal(received('/claims/'), 3);
+                done();
+            });
+        });
+    });
+
+    it('should not send a request again after a client error', function (done) {
+        pokitdok.tradingPartners({id: 'NOT_A_TRADING_PARTNER'}, function (err, res) {
+            assert.equal(err.statusCode, 404);
+            assert.equal(received('/tradingpartners/NOT_A_TRADING_PARTNER'), 1);
+            done();
+        });
+    });
+});
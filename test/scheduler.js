@@ -0,0 +1,110 @@
+var assert = require('assert'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    Scheduler = PokitDok.Scheduler;
+
+describe('Scheduler', function () {
+    describe('#schedule()', function () {
+        it('should limit the tasks in flight', function () {
+            var scheduler = new Scheduler({maxConcurrent: 2}),
+                started = [],
+                finishers = [];
+            [1, 2, 3, 4].forEach(function (n) {
+                scheduler.schedule('/eligibility/', function (done) {
+                    started.push(n);
+                    finishers.push(done);
+                });
+            });
+            assert.deepEqual(started, [1, 2]);
+            assert.deepEqual(scheduler.stats(), {queued: 2, active: 2, paths: {}});
+            finishers[1]();
+            finishers[1]();
+            assert.deepEqual(started, [1, 2, 3]);
+            assert.deepEqual(scheduler.stats(), {queued: 1, active: 2, paths: {}});
+        });
+
+        it('should limit the tasks started per second', function (done) {
+            var scheduler = new Scheduler({maxPerSecond: 2}),
+                started = [],
+                begin = Date.now();
+            [1, 2, 3].forEach(function (n) {
+                scheduler.schedule('/eligibility/', function (finish) {
+                    started.push(n);
+                    finish();
+                    if (n == 3) {
+                        assert.equal(Date.now() - begin >= 990, true);
+                        done();
+                    }
+                });
+            });
+            assert.deepEqual(started, [1, 2]);
+            assert.equal(scheduler.stats().queued, 1);
+        });
+
+        it('should apply the limits of the longest matching path on top of the overall limits', function () {
+            var scheduler = new Scheduler({
+                    maxConcurrent: 3,
+                    paths: {
+                        '/schedule/': {maxConcurrent: 2},
+                        '/schedule/slots/': {maxConcurrent: 1}
+                    }
+                }),
+                started = [];
+            ['/schedule/slots/', '/schedule/slots/', '/schedule/appointments/', '/payers/', '/payers/']
+                .forEach(function (path, n) {
+                    scheduler.schedule(path, function () {
+                        started.push(n);
+                    });
+                });
+            // the second slot request waits for the first, but doesn't hold up the requests behind it
+            assert.deepEqual(started, [0, 2, 3]);
+            assert.deepEqual(scheduler.stats(), {
+                queued: 2,
+                active: 3,
+                paths: {
+                    '/schedule/': {queued: 0, active: 1},
+                    '/schedule/slots/': {queued: 1, active: 1}
+                }
+            });
+        });
+    });
+
+    describe('connections', function () {
+        var mock = new MockPokitDok();
+
+        before(function (done) {
+            mock.listen(done);
+        });
+
+        after(function (done) {
+            mock.close(done);
+        });
+
+        it('should queue the requests over the limits and report the queue depth', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: mock.url,
+                    limits: {maxConcurrent: 2}
+                }),
+                answered = 0;
+            assert.deepEqual(pokitdok.queueDepth(), {queued: 0, active: 0, paths: {}});
+            pokitdok.payers(function (err, res) {
+                assert.equal(null, err);
+                for (var i = 0; i < 5; i++) {
+                    pokitdok.plans(function (err, res) {
+                        assert.equal(null, err);
+                        if (++answered == 5) {
+                            assert.deepEqual(pokitdok.queueDepth(), {queued: 0, active: 0, paths: {}});
+                            done();
+                        }
+                    });
+                }
+                assert.deepEqual(pokitdok.queueDepth(), {queued: 3, active: 2, paths: {}});
+            });
+        });
+
+        it('should report an empty queue for connections without limits', function () {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            assert.deepEqual(pokitdok.queueDepth(), {queued: 0, active: 0, paths: {}});
+        });
+    });
+});
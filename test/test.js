@@ -2,11 +2,71 @@ var assert = require('assert'),
     async = require('async'),
     fs = require('fs'),
     PokitDok = require('../index.js'),
-    clientId = process.env.POKITDOK_CLIENT_ID,
-    clientSecret = process.env.POKITDOK_CLIENT_SECRET;
+    MockPokitDok = require('../mock.js'),
+    // the tests run against the live platform when credentials are available, and a local mock platform otherwise
+    live = !!process.env.POKITDOK_CLIENT_ID,
+    clientId = process.env.POKITDOK_CLIENT_ID || 'mock_client_id',
+    clientSecret = process.env.POKITDOK_CLIENT_SECRET || 'mock_client_secret',
+    mock = new MockPokitDok({clientId: clientId, clientSecret: clientSecret}),
+    connectionOptions = {};
+
+before(function (done) {
+    if (live) {
+        return done();
+    }
+    mock.listen(function (err, baseUrl) {
+        connectionOptions.baseUrl = baseUrl;
+        done(err);
+    });
+});
+
+after(function (done) {
+    if (live) {
+        return done();
+    }
+    mock.close(done);
+});
 
 describe('PokitDok', function () {
-    var pokitdok = new PokitDok(clientId, clientSecret);
+    var pokitdok;
+
+    before(function () {
+        pokitdok = new PokitDok(clientId, clientSecret, connectionOptions);
+    });
+
+    describe('#PokitDok()', function () {
+        it('should default to the PokitDok Platform', function () {
+            var connection = new PokitDok(clientId, clientSecret);
+            assert.equal(connection.version, 'v4');
+            assert.equal(connection.baseUrl, 'https://platform.pokitdok.com');
+            assert.equal(connection.tokenUrl, 'https://platform.pokitdok.com/oauth2/token');
+            assert.equal(connection.apiPath, '/api/v4');
+            assert.equal(connection.userAgent, 'pokitdok-nodejs@' + require('../package.json').version);
+        });
+
+        it('should accept per connection options', function () {
+            var connection = new PokitDok(clientId, clientSecret, {
+                version: 'v3',
+                baseUrl: 'http://localhost:5002/',
+                userAgent: 'test-agent'
+            });
+            assert.equal(connection.version, 'v3');
+            assert.equal(connection.baseUrl, 'http://localhost:5002');
+            assert.equal(connection.tokenUrl, 'http://localhost:5002/oauth2/token');
+            assert.equal(connection.apiPath, '/api/v3');
+            assert.equal(connection.userAgent, 'test-agent');
+        });
+
+        it('should accept options after the version', function () {
+            var connection = new PokitDok(clientId, clientSecret, 'v3', {
+                tokenUrl: 'http://localhost:5003/token',
+                apiPath: '/mock/api'
+            });
+            assert.equal(connection.version, 'v3');
+            assert.equal(connection.tokenUrl, 'http://localhost:5003/token');
+            assert.equal(connection.apiPath, '/mock/api');
+        });
+    });
 
     describe('#activities()', function () {
         var activityList = [];
@@ -212,6 +272,29 @@ describe('PokitDok', function () {
                 done();
             });
         });
+
+        it('should convert x12 claims content from a Buffer', function () {
+            return pokitdok.claimsConvert(fs.readFileSync(__dirname + '/../test_claim.837')).then(function (res) {
+                assert.equal(res.meta instanceof Object, true);
+                assert.equal(res.data.claim instanceof Object, true);
+            });
+        });
+
+        it('should convert x12 claims content from a readable stream', function (done) {
+            pokitdok.claimsConvert(fs.createReadStream(__dirname + '/../test_claim.837'), function (err, res) {
+                assert.equal(null, err);
+                assert.equal(res.meta instanceof Object, true);
+                assert.equal(res.data.claim instanceof Object, true);
+                done();
+            });
+        });
+
+        it('should fail for a file that does not exist', function (done) {
+            pokitdok.claimsConvert(__dirname + '/does_not_exist.837', function (err, res) {
+                assert.equal(err.code, 'ENOENT');
+                done();
+            });
+        });
     });
 
     describe('#files()', function () {
@@ -222,7 +305,46 @@ describe('PokitDok', function () {
                 trading_partner_id: 'MOCKPAYER'
             },  function (err, res) {
                 assert.equal(null, err);
-                assert.equal(res.body != 'Unauthorized');
+                assert.equal(res.meta instanceof Object, true);
+                assert.equal(res.data instanceof Object, true);
+                done();
+            });
+        });
+
+        it('should submit raw x12 content from a Buffer', function () {
+            return pokitdok.files({
+                file: fs.readFileSync(__dirname + '/sampleX12'),
+                trading_partner_id: 'MOCKPAYER'
+            }).then(function (res) {
+                assert.equal(res.meta instanceof Object, true);
+                assert.equal(typeof res.data.id, 'string');
+            });
+        });
+
+        it('should reject content without an ISA header before uploading', function (done) {
+            pokitdok.files({
+                file: new Buffer('GS*HC*901234572000*908887732000*20151004*2235*7*X*005010X222~'),
+                trading_partner_id: 'MOCKPAYER'
+            }, function (err, res) {
+                assert.equal(err instanceof Error, true);
+                assert.equal(/ISA/.test(err.message), true);
+                assert.equal(res, undefined);
+                done();
+            });
+        });
+
+        it('should refuse a file sent as a plain form field', function (done) {
+            pokitdok.apiRequest({
+                path: '/files/',
+                method: 'POST',
+                formData: {
+                    file: fs.readFileSync(__dirname + '/sampleX12', 'utf8'),
+                    trading_partner_id: 'MOCKPAYER'
+                }
+            }, function (err) {
+                assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                assert.equal(err.statusCode, 400);
+                assert.equal(err.fieldErrors[0].field, 'file');
                 done();
             });
         });
@@ -655,6 +777,23 @@ describe('PokitDok', function () {
                 done();
             });
         });
+
+        it('should resolve a promise when no callback is given', function () {
+            return pokitdok.tradingPartners().then(function (res) {
+                assert.equal(res.meta instanceof Object, true);
+                assert.equal(res.data instanceof Array, true);
+            });
+        });
+
+        it('should reject a promise with the error body and response', function () {
+            return pokitdok.tradingPartners({id: 'NOT_A_TRADING_PARTNER'}).then(function () {
+                throw new Error('expected the request to fail');
+            }, function (err) {
+                assert.equal(err instanceof Error, true);
+                assert.equal(err.response.statusCode, 404);
+                assert.equal(err.body !== undefined, true);
+            });
+        });
     });
 
     describe('#plans()', function () {
@@ -753,7 +892,12 @@ describe('PokitDok', function () {
     }); // end PokitDok() tests
 
 describe('AsyncPokitDok', function () {
-    var pokitdok = new PokitDok(clientId, clientSecret);
+    var pokitdok;
+
+    before(function () {
+        pokitdok = new PokitDok(clientId, clientSecret, connectionOptions);
+    });
+
     describe('#retryQueue()', function () {
         it('should automatically refresh the token and retry', function (done) {
             async.parallel([
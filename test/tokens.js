@@ -0,0 +1,421 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    http = require('http'),
+    url = require('url'),
+    request = require('request'),
+    os = require('os'),
+    path = require('path'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    tokens = PokitDok.tokens;
+
+describe('tokens', function () {
+    var mock = new MockPokitDok();
+
+    before(function (done) {
+        mock.listen(done);
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.requests = [];
+    });
+
+    // count the token and api requests the mock received
+    var received = function () {
+        var tokenRequests = mock.requests.filter(function (req) {
+            return req.path == '/oauth2/token';
+        }).length;
+        return {tokens: tokenRequests, api: mock.requests.length - tokenRequests};
+    };
+
+    describe('connections', function () {
+        it('should fetch a token before the first request', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            pokitdok.payers(function (err, res) {
+                assert.equal(null, err);
+                assert.deepEqual(received(), {tokens: 1, api: 1});
+                assert.equal(pokitdok.accessTokenExpiresAt > Date.now() + 3500 * 1000, true);
+                done();
+            });
+        });
+
+        it('should refresh a token shortly before it expires', function (done) {
+            var tokenStore = new tokens.MemoryTokenStore(),
+                pokitdok = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: mock.url,
+                    tokenStore: tokenStore,
+                    refreshMargin: 120
+                });
+            pokitdok.payers(function (err, res) {
+                var firstToken = pokitdok.accessToken;
+                // pretend the token expires within the refresh margin
+                tokenStore.tokens.client_id.expires_at = Date.now() + 60 * 1000;
+                pokitdok.accessTokenRefreshAt = Date.now();
+                pokitdok.payers(function (err, res) {
+                    assert.equal(null, err);
+                    assert.notEqual(pokitdok.accessToken, firstToken);
+                    assert.deepEqual(received(), {tokens: 2, api: 2});
+                    done();
+                });
+            });
+        });
+
+        it('should refresh tokens that live shorter than the refresh margin half way through', function (done) {
+            var shortLived = new MockPokitDok({expiresIn: 30});
+            shortLived.listen(function (err, baseUrl) {
+                var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: baseUrl});
+                pokitdok.payers(function (err, res) {
+                    assert.equal(null, err);
+                    assert.equal(Math.round((pokitdok.accessTokenRefreshAt - Date.now()) / 1000), 15);
+                    shortLived.close(done);
+                });
+            });
+        });
+
+        it('should share a token through a token store', function (done) {
+            var tokenStore = new tokens.MemoryTokenStore(),
+                first = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, tokenStore: tokenStore}),
+                second = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, tokenStore: tokenStore});
+            first.payers(function (err, res) {
+                assert.equal(null, err);
+                second.payers(function (err, res) {
+                    assert.equal(null, err);
+                    assert.equal(second.accessToken, first.accessToken);
+                    assert.deepEqual(received(), {tokens: 1, api: 2});
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('refreshes', function () {
+        it('should call back every queued request when a token cannot be fetched', function (done) {
+            var rejected = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url}),
+                failures = [];
+            mock.clientSecret = 'other_secret';
+            ['payers', 'plans', 'tradingPartners'].forEach(function (endpoint) {
+                rejected[endpoint](function (err, res) {
+                    assert.equal(err instanceof PokitDok.errors.AuthenticationError, true);
+                    failures.push(endpoint);
+                    if (failures.length == 3) {
+                        mock.clientSecret = undefined;
+                        assert.deepEqual(failures, ['payers', 'plans', 'tradingPartners']);
+                        assert.deepEqual(received(), {tokens: 1, api: 0});
+                        done();
+                    }
+                });
+            });
+        });
+
+        it('should call back every queued request when the token endpoint cannot be reached', function (done) {
+            var server = http.createServer();
+            server.listen(0, '127.0.0.1', function () {
+                var tokenUrl = 'http://127.0.0.1:' + server.address().port + '/oauth2/token';
+                server.close(function () {
+                    var unreachable = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, tokenUrl: tokenUrl}),
+                        failures = 0;
+                    ['payers', 'plans'].forEach(function (endpoint) {
+                        unreachable[endpoint](function (err, res) {
+                            assert.equal(err instanceof PokitDok.errors.NetworkError, true);
+                            if (++failures == 2) {
+                                done();
+                            }
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should send queued requests in the order they were made', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url}),
+                answered = 0;
+            ['/payers/', '/plans/', '/tradingpartners/'].forEach(function (path) {
+                pokitdok.apiRequest({path: path, method: 'GET'}, function (err, res) {
+                    assert.equal(null, err);
+                    if (++answered == 3) {
+                        assert.deepEqual(mock.requests.map(function (req) {
+                            return req.path;
+                        }), ['/oauth2/token', '/api/v4/payers/', '/api/v4/plans/', '/api/v4/tradingpartners/']);
+                        done();
+                    }
+                });
+            });
+        });
+
+        it('should stop refreshing a token that keeps being rejected', function (done) {
+            var requests = {tokens: 0, api: 0},
+                server = http.createServer(function (req, res) {
+                    var token = req.url == '/oauth2/token';
+                    requests[token ? 'tokens' : 'api']++;
+                    res.writeHead(token ? 200 : 401, {'Content-Type': 'application/json'});
+                    res.end(token ? '{"access_token": "token", "expires_in": 3600}' : 'Unauthorized');
+                });
+            server.listen(0, '127.0.0.1', function () {
+                var pokitdok = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: 'http://127.0.0.1:' + server.address().port
+                });
+                pokitdok.payers(function (err, res) {
+                    assert.equal(err instanceof PokitDok.errors.AuthenticationError, true);
+                    assert.equal(res.statusCode, 401);
+                    assert.deepEqual(requests, {tokens: 3, api: 3});
+                    server.close(done);
+                });
+            });
+        });
+    });
+
+    describe('#authorizationUrl()', function () {
+        it('should build the authorize url with the scope and state', function () {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {
+                baseUrl: 'https://platform.example.com',
+                redirectUri: 'https://app.example.com/callback'
+            });
+            assert.equal(pokitdok.authorizationUrl({scope: ['user_schedule', 'user_identity'], state: 'abc123'}),
+                'https://platform.example.com/oauth2/authorize?response_type=code&client_id=client_id' +
+                '&redirect_uri=https%3A%2F%2Fapp.example.com%2Fcallback&scope=user_schedule%20user_identity&state=abc123');
+        });
+    });
+
+    describe('#authorize()', function () {
+        var redirectUri = 'https://app.example.com/callback';
+
+        // follow the authorize url of a connection and return the code the mock redirects with
+        var authorizationCode = function (pokitdok, callback) {
+            request({
+                uri: pokitdok.authorizationUrl({scope: 'user_schedule', state: 'abc123'}),
+                followRedirect: false
+            }, function (err, res) {
+                var location = url.parse(res.headers.location, true);
+                assert.equal(location.query.state, 'abc123');
+                callback(location.query.code);
+            });
+        };
+
+        it('should exchange a code for tokens and act with them', function (done) {
+            var changes = [],
+                pokitdok = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: mock.url,
+                    redirectUri: redirectUri,
+                    onTokenChange: function (token) {
+                        changes.push(token);
+                    }
+                });
+            authorizationCode(pokitdok, function (code) {
+                pokitdok.authorize(code).then(function (token) {
+                    assert.equal(typeof token.access_token, 'string');
+                    assert.equal(typeof token.refresh_token, 'string');
+                    assert.equal(token.scope, 'user_schedule');
+                    assert.deepEqual(changes, [token]);
+                    assert.equal(pokitdok.refreshToken, token.refresh_token);
+                    return pokitdok.appointments();
+                }).then(function (res) {
+                    assert.equal(res.data instanceof Array, true);
+                    assert.deepEqual(received(), {tokens: 1, api: 2});
+                }).then(done, done);
+            });
+        });
+
+        it('should refresh the tokens of a user with the refresh token', function (done) {
+            var changes = [],
+                pokitdok = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: mock.url,
+                    redirectUri: redirectUri,
+                    onTokenChange: function (token) {
+                        changes.push(token);
+                    }
+                });
+            authorizationCode(pokitdok, function (code) {
+                pokitdok.authorize(code, function (err, token) {
+                    assert.equal(null, err);
+                    mock.expireTokens();
+                    pokitdok.appointments(function (err, res) {
+                        assert.equal(null, err);
+                        assert.equal(changes.length, 2);
+                        assert.notEqual(changes[1].refresh_token, token.refresh_token);
+                        assert.equal(pokitdok.refreshToken, changes[1].refresh_token);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should resume from a saved refresh token', function (done) {
+            var first = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, redirectUri: redirectUri});
+            authorizationCode(first, function (code) {
+                first.authorize(code, function (err, token) {
+                    var resumed = new PokitDok('client_id', 'client_secret', {
+                        baseUrl: mock.url,
+                        refreshToken: token.refresh_token
+                    });
+                    resumed.appointments(function (err, res) {
+                        assert.equal(null, err);
+                        assert.notEqual(resumed.refreshToken, token.refresh_token);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should not hand the tokens of a user to app connections that share the store', function (done) {
+            var tokenStore = new tokens.MemoryTokenStore(),
+                user = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: mock.url,
+                    redirectUri: redirectUri,
+                    tokenStore: tokenStore
+                }),
+                app = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, tokenStore: tokenStore});
+            authorizationCode(user, function (code) {
+                user.authorize(code).then(function (token) {
+                    return app.tradingPartners().then(function () {
+                        assert.notEqual(app.accessToken, token.access_token);
+                        assert.equal(app.refreshToken, null);
+                        assert.deepEqual(Object.keys(tokenStore.tokens), ['client_id']);
+                        assert.equal(tokenStore.tokens.client_id.access_token, app.accessToken);
+                        assert.equal(tokenStore.tokens.client_id.refresh_token, undefined);
+                    });
+                }).then(done, done);
+            });
+        });
+
+        it('should share the tokens of a user under their token key only', function (done) {
+            var tokenStore = new tokens.MemoryTokenStore(),
+                options = {baseUrl: mock.url, redirectUri: redirectUri, tokenStore: tokenStore, tokenKey: 'user-1'},
+                first = new PokitDok('client_id', 'client_secret', options);
+            authorizationCode(first, function (code) {
+                first.authorize(code).then(function (token) {
+                    var second = new PokitDok('client_id', 'client_secret', {
+                            baseUrl: mock.url,
+                            tokenStore: tokenStore,
+                            tokenKey: 'user-1',
+                            refreshToken: token.refresh_token
+                        }),
+                        other = new PokitDok('client_id', 'client_secret', {
+                            baseUrl: mock.url,
+                            tokenStore: tokenStore,
+                            tokenKey: 'user-2',
+                            refreshToken: 'unknown'
+                        });
+                    assert.deepEqual(Object.keys(tokenStore.tokens), ['client_id:user:user-1']);
+                    return second.appointments().then(function () {
+                        assert.equal(second.accessToken, token.access_token);
+                        return other.appointments().then(function () {
+                            throw new Error('expected the unknown refresh token to be rejected');
+                        }, function () {
+                            assert.notEqual(other.accessToken, token.access_token);
+                        });
+                    });
+                }).then(done, done);
+            });
+        });
+
+        it('should reject a code that was already used', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, redirectUri: redirectUri});
+            authorizationCode(pokitdok, function (code) {
+                pokitdok.authorize(code, function (err) {
+                    assert.equal(null, err);
+                    pokitdok.authorize(code, function (err) {
+                        assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                        assert.equal(err.message, 'invalid_grant');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('#MemoryTokenStore()', function () {
+        it('should keep a token per key', function (done) {
+            var tokenStore = new tokens.MemoryTokenStore();
+            tokenStore.set('client_id', {access_token: 'token', expires_at: 1}, function (err) {
+                assert.equal(null, err);
+                tokenStore.get('client_id', function (err, token) {
+                    assert.deepEqual(token, {access_token: 'token', expires_at: 1});
+                    tokenStore.get('other_client_id', function (err, token) {
+                        assert.equal(token, null);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('#FileTokenStore()', function () {
+        var tokenPath = path.join(os.tmpdir(), 'pokitdok-tokens-' + process.pid + '.json');
+
+        afterEach(function () {
+            if (fs.existsSync(tokenPath)) {
+                fs.unlinkSync(tokenPath);
+            }
+        });
+
+        it('should keep tokens in a file', function (done) {
+            var tokenStore = new tokens.FileTokenStore(tokenPath);
+            tokenStore.get('client_id', function (err, token) {
+                assert.equal(null, err);
+                assert.equal(token, null);
+                tokenStore.set('client_id', {access_token: 'token', expires_at: 1}, function (err) {
+                    assert.equal(null, err);
+                    new tokens.FileTokenStore(tokenPath).get('client_id', function (err, token) {
+                        assert.deepEqual(token, {access_token: 'token', expires_at: 1});
+                        assert.deepEqual(JSON.parse(fs.readFileSync(tokenPath)), {client_id: token});
+                        assert.equal(fs.statSync(tokenPath).mode & parseInt('777', 8), parseInt('600', 8));
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should keep every token set at once', function (done) {
+            var tokenStore = new tokens.FileTokenStore(tokenPath),
+                keys = ['a', 'b', 'c'],
+                remaining = keys.length;
+            _.each(keys, function (key) {
+                tokenStore.set(key, {access_token: key, expires_at: 1}, function (err) {
+                    assert.equal(null, err);
+                    if (--remaining) {
+                        return;
+                    }
+                    assert.deepEqual(_.keys(JSON.parse(fs.readFileSync(tokenPath))).sort(), keys);
+                    done();
+                });
+            });
+        });
+
+        it('should replace a damaged file with the next token', function (done) {
+            var tokenStore = new tokens.FileTokenStore(tokenPath);
+            fs.writeFileSync(tokenPath, '{"client_id": ');
+            tokenStore.set('client_id', {access_token: 'token', expires_at: 1}, function (err) {
+                assert.equal(null, err);
+                assert.deepEqual(_.keys(JSON.parse(fs.readFileSync(tokenPath))), ['client_id']);
+                done();
+            });
+        });
+
+        it('should hand a stored token to a new connection', function (done) {
+            var first = new PokitDok('client_id', 'client_secret', {
+                baseUrl: mock.url,
+                tokenStore: new tokens.FileTokenStore(tokenPath)
+            });
+            first.payers(function (err, res) {
+                var second = new PokitDok('client_id', 'client_secret', {
+                    baseUrl: mock.url,
+                    tokenStore: new tokens.FileTokenStore(tokenPath)
+                });
+                // the token is stored while the first request is answered
+                setTimeout(function () {
+                    second.payers(function (err, res) {
+                        assert.equal(null, err);
+                        assert.equal(second.accessToken, first.accessToken);
+                        assert.deepEqual(received(), {tokens: 1, api: 2});
+                        done();
+                    });
+                }, 50);
+            });
+        });
+    });
+});
@@ -0,0 +1,134 @@
+var assert = require('assert'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    validate = PokitDok.validate,
+    schemas = PokitDok.schemas,
+    eligibilityRequest = require('./fixtures').eligibilityRequest;
+
+describe('validate', function () {
+    it('should accept a valid document', function () {
+        assert.deepEqual(validate(schemas.eligibility, eligibilityRequest()), []);
+    });
+
+    it('should report every problem by JSON path', function () {
+        var document = eligibilityRequest();
+        delete document.trading_partner_id;
+        document.member.birthdate = document.member.birth_date;
+        document.member.birth_date = '01/01/1970';
+        document.member.gender = 'F';
+        document.service_types = 'health_benefit_plan_coverage';
+        assert.deepEqual(validate(schemas.eligibility, document), [
+            {field: 'trading_partner_id', message: 'This field is required.'},
+            {field: 'member.birth_date', message: 'Must be a date formatted as YYYY-MM-DD.'},
+            {field: 'member.birthdate', message: 'Unknown field.', warning: true},
+            {field: 'member.gender', message: 'Must be one of: male, female, unknown.'},
+            {field: 'service_types', message: 'Must be an array.'}
+        ]);
+    });
+
+    it('should report problems inside lists', function () {
+        var problems = validate(schemas.claims, {
+            transaction_code: 'chargeable',
+            trading_partner_id: 'MOCKPAYER',
+            billing_provider: {npi: '146756000'},
+            subscriber: {first_name: 'Jane', last_name: 'Doe', member_id: 'W000000000'},
+            claim: {
+                total_charge_amount: '60',
+                service_lines: [
+                    {procedure_code: '99213', charge_amount: 60, diagnosis_codes: ['487.1'], service_date: '2014-06-01'},
+                    {procedure_code: '87804', charge_amount: 40, diagnosis_codes: [], service_date: '2014-02-30'}
+                ]
+            }
+        });
+        assert.deepEqual(problems, [
+            {field: 'billing_provider.npi', message: 'Must be a 10 digit NPI with a valid check digit.'},
+            {field: 'claim.total_charge_amount', message: 'Must be a number.'},
+            {field: 'claim.service_lines[1].diagnosis_codes', message: 'Must have at least 1 item.'},
+            {field: 'claim.service_lines[1].service_date', message: 'Must be a date formatted as YYYY-MM-DD.'}
+        ]);
+    });
+
+    it('should report a document that is not an object', function () {
+        assert.deepEqual(validate(schemas.referrals, 'MOCKPAYER'), [{field: '', message: 'Must be an object.'}]);
+    });
+
+    describe('connections', function () {
+        var mock = new MockPokitDok();
+
+        before(function (done) {
+            mock.listen(done);
+        });
+
+        after(function (done) {
+            mock.close(done);
+        });
+
+        beforeEach(function () {
+            mock.requests = [];
+        });
+
+        it('should call back with a ValidationError without sending an invalid document', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url}),
+                document = eligibilityRequest();
+            delete document.trading_partner_id;
+            document.member.birth_date = '1970-13-01';
+            pokitdok.eligibility(document).then(function () {
+                throw new Error('expected the request to fail');
+            }, function (err) {
+                assert.equal(err instanceof PokitDok.errors.ValidationError, true);
+                assert.equal(err.statusCode, null);
+                assert.equal(err.path, '/eligibility/');
+                assert.equal(err.message, 'The eligibility request is invalid: trading_partner_id: This field is ' +
+                    'required.; member.birth_date: Must be a date formatted as YYYY-MM-DD.');
+                assert.equal(err.fieldErrors.length, 2);
+                assert.equal(mock.requests.length, 0);
+            }).then(done, done);
+        });
+
+        it('should send documents with unknown fields and log them as warnings', function (done) {
+            var events = [],
+                logger = {debug: function () {}, info: function () {}, warn: events.push.bind(events),
+                    error: function () {}},
+                pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, logger: logger}),
+                document = eligibilityRequest();
+            document.member.address = {address_lines: ['1 Main St'], address_line2: 'Apt 2', city: 'Charleston'};
+            pokitdok.eligibility(document).then(function (res) {
+                assert.equal(res.data.valid_request, true);
+                assert.equal(events[0].event, 'validationWarning');
+                assert.deepEqual(events[0].warnings, [
+                    {field: 'member.address.address_line2', message: 'Unknown field.', warning: true}
+                ]);
+            }).then(done, done);
+        });
+
+        it('should send a single document without validation', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url}),
+                document = {member: {first_name: 'Jane'}},
+                skipped = PokitDok.skipValidation(document);
+            assert.deepEqual(skipped, document);
+            pokitdok.eligibility(skipped, function (err) {
+                assert.equal(err.statusCode, 422);
+                assert.deepEqual(JSON.parse(JSON.stringify(mock.requests[1].body)), document);
+                pokitdok.eligibility(document, function (err) {
+                    assert.equal(err.statusCode, null);
+                    assert.equal(mock.requests.length, 2);
+                    pokitdok.apiRequest({path: '/eligibility/', method: 'POST', json: document, schema: 'eligibility',
+                        validate: false}, function (err) {
+                        assert.equal(err.statusCode, 422);
+                        assert.equal(mock.requests.length, 3);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should send invalid documents when validation is turned off', function (done) {
+            var pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url, validate: false});
+            pokitdok.eligibility({member: {first_name: 'Jane'}}, function (err, res) {
+                assert.equal(err.statusCode, 422);
+                assert.equal(mock.requests.length, 2);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,203 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    _ = require('lodash'),
+    PokitDok = require('../index.js'),
+    MockPokitDok = require('../mock.js'),
+    claimDocument = require('./fixtures').claimDocument;
+
+describe('ActivityWatcher', function () {
+    var mock = new MockPokitDok(),
+        watchPath = path.join(os.tmpdir(), 'pokitdok-activities-' + process.pid + '.json'),
+        pokitdok,
+        watcher;
+
+    // a private function to record the state events of a watcher as `id: previous > state`
+    var recordStates = function (watcher) {
+        var changes = [];
+        watcher.on('state', function (activity, previous) {
+            changes.push(activity.id + ': ' + previous + ' > ' + activity.state.name);
+        });
+        return changes;
+    };
+
+    before(function (done) {
+        mock.listen(function () {
+            pokitdok = new PokitDok('client_id', 'client_secret', {baseUrl: mock.url});
+            done();
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    beforeEach(function () {
+        mock.requests = [];
+    });
+
+    // saves still in flight finish before the file is removed
+    afterEach(function (done) {
+        watcher.stop().save(function () {
+            fs.unlink(watchPath, function () {
+                done();
+            });
+        });
+    });
+
+    it('should poll many activities through the list and report the ones that finish', function (done) {
+        var ids, changes;
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {interval: 10, pageSize: 2});
+        changes = recordStates(watcher);
+        Promise.all(_.times(3, function () {
+            return pokitdok.claims(claimDocument());
+        })).then(function (responses) {
+            ids = _.pluck(_.pluck(responses, 'data'), 'id');
+            _.each(responses, watcher.watch, watcher);
+            return pokitdok.activities({id: ids[1], transition: 'cancel'});
+        }).then(function () {
+            var canceled = [];
+            mock.requests = [];
+            watcher.on('canceled', function (activity) {
+                canceled.push(activity.id);
+            }).on('state', function () {
+                if (changes.length < 3) {
+                    return;
+                }
+                assert.deepEqual(changes.sort(), [ids[0] + ': null > init', ids[1] + ': null > canceled',
+                    ids[2] + ': null > init'].sort());
+                assert.deepEqual(canceled, [ids[1]]);
+                assert.deepEqual(watcher.watched().sort(), [ids[0], ids[2]].sort());
+                assert.equal(_.filter(mock.requests, {path: '/api/v4/activities/' + ids[1]}).length, 0);
+                assert.notEqual(_.filter(mock.requests, {path: '/api/v4/activities/'}).length, 0);
+                done();
+            }).start();
+        }).catch(done);
+    });
+
+    it('should fetch activities one by one and emit every state change', function (done) {
+        var id = MockPokitDok.fixtures.activities[0].id,
+            changes;
+        mock.playActivity(id, ['submit', {name: 'completed', result: {claim_id: '1234'}}]);
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {interval: 10, batch: false}).watch(id);
+        changes = recordStates(watcher);
+        watcher.on('completed', function (activity) {
+            assert.deepEqual(activity.result, {claim_id: '1234'});
+            assert.deepEqual(changes, [id + ': null > submit', id + ': submit > completed']);
+            assert.deepEqual(watcher.watched(), []);
+            assert.equal(_.filter(mock.requests, {path: '/api/v4/activities/'}).length, 0);
+            done();
+        }).start();
+    });
+
+    it('should emit the errors of a poll and keep watching', function (done) {
+        var errors = [];
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {interval: 10}).watch('unknown');
+        watcher.on('error', function (err, id) {
+            errors.push(id);
+            assert.equal(err.statusCode, 404);
+            if (errors.length == 2) {
+                assert.deepEqual(errors, ['unknown', 'unknown']);
+                assert.deepEqual(watcher.watched(), ['unknown']);
+                done();
+            }
+        }).start();
+    });
+
+    it('should keep the watched activities in a file across restarts', function (done) {
+        var id = MockPokitDok.fixtures.activities[0].id;
+        mock.playActivity(id, ['scheduled', 'submit']);
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {interval: 10000, file: watchPath});
+        watcher.watch(id).watch('5317f51527a27620f2ec0000');
+        watcher.unwatch('5317f51527a27620f2ec0000');
+        watcher.once('state', function () {
+            watcher.stop();
+            watcher.save(function (err) {
+                assert.equal(err, null);
+                assert.deepEqual(JSON.parse(fs.readFileSync(watchPath, 'utf8')), {
+                    activities: _.zipObject([id], ['scheduled'])
+                });
+                assert.equal(fs.statSync(watchPath).mode & parseInt('777', 8), parseInt('600', 8));
+                // a new process only hears about the changes since the last one stopped
+                var restarted = new PokitDok.ActivityWatcher(pokitdok, {interval: 10000, file: watchPath}),
+                    changes = recordStates(restarted);
+                watcher = restarted;
+                restarted.start(function (err) {
+                    assert.equal(err, null);
+                    assert.deepEqual(restarted.watched(), [id]);
+                    restarted.once('state', function () {
+                        assert.deepEqual(changes, [id + ': scheduled > submit']);
+                        done();
+                    });
+                });
+            });
+        }).start();
+    });
+
+    it('should stop reading the list once every watched activity was on it', function (done) {
+        var ids = _.pluck(MockPokitDok.fixtures.activities, 'id'),
+            seen = 0;
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {interval: 10000, pageSize: 2}).watch(ids[0]).watch(ids[1]);
+        watcher.on('state', function () {
+            if (++seen < 2) {
+                return;
+            }
+            setImmediate(function () {
+                assert.equal(_.filter(mock.requests, {path: '/api/v4/activities/'}).length, 1);
+                assert.equal(mock.requests.length, 1);
+                done();
+            });
+        }).start();
+    });
+
+    it('should read at most the maximum number of pages before fetching activities one by one', function (done) {
+        var errors = [];
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {interval: 10000, pageSize: 1, maxPages: 2});
+        watcher.watch('unknown-1').watch('unknown-2').on('error', function (err, id) {
+            errors.push(id);
+            if (errors.length < 2) {
+                return;
+            }
+            assert.deepEqual(errors.sort(), ['unknown-1', 'unknown-2']);
+            assert.equal(_.filter(mock.requests, {path: '/api/v4/activities/'}).length, 2);
+            done();
+        }).start();
+    });
+
+    it('should throw the error of a failed list without an error listener', function (done) {
+        var ids = _.pluck(MockPokitDok.fixtures.activities, 'id'),
+            listeners = process.listeners('uncaughtException');
+        // take the error before the test runner does, and hand the exceptions back to it after
+        process.removeAllListeners('uncaughtException');
+        process.once('uncaughtException', function (err) {
+            _.each(listeners, function (listener) {
+                process.on('uncaughtException', listener);
+            });
+            assert.equal(err.statusCode, 404);
+            done();
+        });
+        mock.failNext(1, {statusCode: 404, body: 'Not Found'});
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {interval: 10000}).watch(ids[0]).watch(ids[1]).start();
+    });
+
+    it('should emit the error of a failed write of the file', function (done) {
+        var unwritable = path.join(os.tmpdir(), 'pokitdok-missing-' + process.pid, 'activities.json');
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {file: unwritable});
+        watcher.on('error', function (err, id) {
+            assert.equal(err.code, 'ENOENT');
+            assert.equal(id, null);
+            assert.deepEqual(watcher.watched(), ['5317f51527a27620f2ec7533']);
+            done();
+        }).watch('5317f51527a27620f2ec7533');
+    });
+
+    it('should start with nothing to watch when the file does not exist yet', function (done) {
+        watcher = new PokitDok.ActivityWatcher(pokitdok, {file: watchPath});
+        watcher.restore(function (err) {
+            assert.equal(err, null);
+            assert.deepEqual(watcher.watched(), []);
+            done();
+        });
+    });
+});
@@ -0,0 +1,104 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    x12 = require('../index.js').x12,
+    claim837 = fs.readFileSync(__dirname + '/../test_claim.837', 'utf8');
+
+// build a small interchange with consistent envelopes
+var interchange = function (separator, component, terminator) {
+    var segments = [
+        'ISA*00*          *00*          *ZZ*SENDER         *ZZ*RECEIVER       *151004*2235*^*00501*000000001*0*T*:',
+        'GS*HC*SENDER*RECEIVER*20151004*2235*1*X*005010X222',
+        'ST*837*0001*005010X222',
+        'BHT*0019*00*1*20151004*2235*CH',
+        'SE*3*0001',
+        'GE*1*1',
+        'IEA*1*000000001'
+    ];
+    return segments.map(function (segment) {
+        return segment.replace(/\*/g, separator).replace(/:$/, component);
+    }).join(terminator) + terminator;
+};
+
+describe('x12', function () {
+    describe('#parse()', function () {
+        it('should read the separators from the ISA header', function () {
+            var result = x12.parse(interchange('|', '>', '\n'));
+            assert.deepEqual(result.interchanges[0].separators, {
+                element: '|',
+                component: '>',
+                repetition: '^',
+                segment: '\n'
+            });
+            assert.equal(result.errors.length, 0);
+        });
+
+        it('should split an interchange into groups and transaction sets', function () {
+            var result = x12.parse(claim837),
+                interchange = result.interchanges[0],
+                group = interchange.groups[0],
+                transaction = group.transactions[0];
+            assert.equal(result.interchanges.length, 1);
+            assert.equal(interchange.senderId, '9012345720000');
+            assert.equal(interchange.controlNumber, '000000007');
+            assert.equal(group.functionalIdentifier, 'HC');
+            assert.equal(group.version, '005010X222');
+            assert.equal(transaction.type, '837');
+            assert.equal(transaction.controlNumber, '0001');
+            assert.equal(transaction.segments[0].id, 'ST');
+            assert.equal(transaction.segments[transaction.segments.length - 1].id, 'SE');
+            assert.equal(transaction.segments.length, 24);
+        });
+
+        it('should expose segment elements and components by their X12 positions', function () {
+            var transaction = x12.transactions(x12.parse(claim837), '837')[0],
+                billingProvider = transaction.segments[7],
+                serviceLine = transaction.segments[21];
+            assert.equal(billingProvider.id, 'NM1');
+            assert.equal(billingProvider.element(1), '85');
+            assert.equal(billingProvider.element(9), '1467560003');
+            assert.equal(billingProvider.element(12), '');
+            assert.equal(serviceLine.id, 'SV1');
+            assert.equal(serviceLine.component(1, 1), 'HC');
+            assert.equal(serviceLine.component(1, 2), '99213');
+            assert.deepEqual(serviceLine.components(1), ['HC', '99213']);
+            assert.equal(serviceLine.toString(), 'SV1*HC:99213*60*UN*1.0***1~');
+        });
+
+        it('should report control numbers that do not match', function () {
+            var result = x12.parse(claim837);
+            assert.deepEqual(result.errors.map(function (error) {
+                return error.code;
+            }), ['GE_CONTROL_NUMBER_MISMATCH', 'IEA_CONTROL_NUMBER_MISMATCH']);
+            assert.equal(result.errors[0].segment, 'GE');
+            assert.equal(result.errors[0].position, 27);
+        });
+
+        it('should report segment and transaction set counts that do not match', function () {
+            var result = x12.parse(interchange('*', ':', '~').replace('SE*3', 'SE*4').replace('GE*1', 'GE*2'));
+            assert.deepEqual(result.errors.map(function (error) {
+                return error.code;
+            }), ['SE_COUNT_MISMATCH', 'GE_COUNT_MISMATCH']);
+        });
+
+        it('should report missing trailers', function () {
+            var result = x12.parse(interchange('*', ':', '~').replace('SE*3*0001~', '').replace('IEA*1*000000001~', ''));
+            assert.deepEqual(result.errors.map(function (error) {
+                return error.code;
+            }), ['SE_MISSING', 'IEA_MISSING']);
+        });
+
+        it('should parse consecutive interchanges with different separators', function () {
+            var result = x12.parse(interchange('*', ':', '~\r\n') + interchange('|', '>', '\n'));
+            assert.equal(result.interchanges.length, 2);
+            assert.equal(result.interchanges[1].separators.element, '|');
+            assert.equal(x12.transactions(result).length, 2);
+            assert.equal(result.errors.length, 0);
+        });
+
+        it('should throw for content without an ISA header', function () {
+            assert.throws(function () {
+                x12.parse('GS*HC*SENDER*RECEIVER~');
+            }, /ISA/);
+        });
+    });
+});